@@ -0,0 +1,286 @@
+/*!
+ * Copyright (c) 2024 European EPC Competence Center GmbH. All rights reserved.
+ */
+
+import {InvalidKeyError, KeyFormatError} from './errors.js';
+
+// DER tags used by the RSA key structures
+export const TAG_INTEGER = 0x02;
+export const TAG_BIT_STRING = 0x03;
+export const TAG_OCTET_STRING = 0x04;
+export const TAG_NULL = 0x05;
+export const TAG_OID = 0x06;
+export const TAG_SEQUENCE = 0x30;
+
+// AlgorithmIdentifier for rsaEncryption (1.2.840.113549.1.1.1) with NULL
+// parameters, as used in SPKI and PKCS#8 RSA keys
+const RSA_ENCRYPTION_OID = new Uint8Array([
+  0x2a, 0x86, 0x48, 0x86, 0xf7, 0x0d, 0x01, 0x01, 0x01
+]);
+const RSA_ALGORITHM_IDENTIFIER = encodeTlv(TAG_SEQUENCE, concatBytes([
+  encodeTlv(TAG_OID, RSA_ENCRYPTION_OID),
+  encodeTlv(TAG_NULL, new Uint8Array())
+]));
+
+/**
+ * Reads a single DER TLV (tag, length, value) element.
+ *
+ * @param {Uint8Array} bytes - The DER bytes.
+ * @param {number} [offset=0] - The offset of the element.
+ *
+ * @returns {object} The element's `tag`, its `offset` and the `start` and
+ *   `end` of its value.
+ */
+export function readTlv(bytes, offset = 0) {
+  if(offset + 2 > bytes.length) {
+    throw new KeyFormatError('Invalid DER encoding: unexpected end of data.');
+  }
+  const tag = bytes[offset];
+  let length = bytes[offset + 1];
+  let start = offset + 2;
+  if(length & 0x80) {
+    const lengthBytes = length & 0x7f;
+    if(lengthBytes === 0 || lengthBytes > 4 ||
+      start + lengthBytes > bytes.length) {
+      throw new KeyFormatError('Invalid DER encoding: unsupported length.');
+    }
+    length = 0;
+    for(let i = 0; i < lengthBytes; ++i) {
+      length = (length * 256) + bytes[start + i];
+    }
+    start += lengthBytes;
+  }
+  const end = start + length;
+  if(end > bytes.length) {
+    throw new KeyFormatError('Invalid DER encoding: length exceeds data.');
+  }
+  return {tag, offset, start, end};
+}
+
+/**
+ * Reads the children of a constructed DER element.
+ *
+ * @param {Uint8Array} bytes - The DER bytes.
+ * @param {number} [expectedTag=TAG_SEQUENCE] - The expected outer tag.
+ *
+ * @returns {Array<object>} The child elements, see `readTlv`.
+ */
+export function readChildren(bytes, expectedTag = TAG_SEQUENCE) {
+  const outer = readTlv(bytes);
+  if(outer.tag !== expectedTag) {
+    throw new KeyFormatError(
+      `Invalid DER encoding: expected tag 0x${expectedTag.toString(16)}.`);
+  }
+  const children = [];
+  let offset = outer.start;
+  while(offset < outer.end) {
+    const child = readTlv(bytes, offset);
+    children.push(child);
+    offset = child.end;
+  }
+  return children;
+}
+
+/**
+ * Encodes a DER TLV element.
+ *
+ * @param {number} tag - The DER tag.
+ * @param {Uint8Array} contents - The element value.
+ *
+ * @returns {Uint8Array} The encoded element.
+ */
+export function encodeTlv(tag, contents) {
+  const {length} = contents;
+  let header;
+  if(length < 0x80) {
+    header = [tag, length];
+  } else {
+    const lengthBytes = [];
+    for(let n = length; n > 0; n = Math.floor(n / 256)) {
+      lengthBytes.unshift(n & 0xff);
+    }
+    header = [tag, 0x80 | lengthBytes.length, ...lengthBytes];
+  }
+  const result = new Uint8Array(header.length + length);
+  result.set(header);
+  result.set(contents, header.length);
+  return result;
+}
+
+/**
+ * Concatenates byte arrays.
+ *
+ * @param {Array<Uint8Array>} arrays - The byte arrays.
+ *
+ * @returns {Uint8Array} The concatenated bytes.
+ */
+export function concatBytes(arrays) {
+  const result = new Uint8Array(
+    arrays.reduce((total, {length}) => total + length, 0));
+  let offset = 0;
+  for(const array of arrays) {
+    result.set(array, offset);
+    offset += array.length;
+  }
+  return result;
+}
+
+/**
+ * Encodes a non-negative integer as a DER INTEGER.
+ *
+ * @param {number} value - The integer.
+ *
+ * @returns {Uint8Array} The encoded INTEGER.
+ */
+export function encodeInteger(value) {
+  const bytes = [];
+  for(let n = value; n > 0; n = Math.floor(n / 256)) {
+    bytes.unshift(n & 0xff);
+  }
+  // a leading zero byte keeps the INTEGER positive
+  if(bytes.length === 0 || bytes[0] & 0x80) {
+    bytes.unshift(0);
+  }
+  return encodeTlv(TAG_INTEGER, new Uint8Array(bytes));
+}
+
+/**
+ * Decodes the value of a non-negative DER INTEGER element.
+ *
+ * @param {Uint8Array} bytes - The DER bytes.
+ * @param {object} element - The INTEGER element, see `readTlv`.
+ *
+ * @returns {number} The integer.
+ */
+export function decodeInteger(bytes, element) {
+  if(element?.tag !== TAG_INTEGER || element.end - element.start > 6) {
+    throw new KeyFormatError('Invalid DER encoding: unsupported INTEGER.');
+  }
+  let value = 0;
+  for(let i = element.start; i < element.end; ++i) {
+    value = (value * 256) + bytes[i];
+  }
+  return value;
+}
+
+/**
+ * Compares two byte arrays.
+ *
+ * @param {Uint8Array} a - The first byte array.
+ * @param {Uint8Array} b - The second byte array.
+ *
+ * @returns {boolean} Whether the byte arrays are equal.
+ */
+export function equalBytes(a, b) {
+  return a.length === b.length && a.every((byte, i) => byte === b[i]);
+}
+
+/**
+ * Extracts the PKCS#1 RSAPublicKey from a DER-encoded SPKI.
+ *
+ * @param {Uint8Array} spki - The SubjectPublicKeyInfo bytes.
+ *
+ * @returns {Uint8Array} The RSAPublicKey bytes.
+ */
+export function spkiToRsaPublicKey(spki) {
+  const [algorithm, subjectPublicKey] = readChildren(spki);
+  if(!subjectPublicKey || subjectPublicKey.tag !== TAG_BIT_STRING) {
+    throw new KeyFormatError('Invalid SubjectPublicKeyInfo.');
+  }
+  _assertRsaAlgorithm(spki, algorithm);
+  // skip the "unused bits" byte of the BIT STRING
+  return spki.slice(subjectPublicKey.start + 1, subjectPublicKey.end);
+}
+
+/**
+ * Wraps a PKCS#1 RSAPublicKey in a DER-encoded SPKI.
+ *
+ * @param {Uint8Array} rsaPublicKey - The RSAPublicKey bytes.
+ *
+ * @returns {Uint8Array} The SubjectPublicKeyInfo bytes.
+ */
+export function rsaPublicKeyToSpki(rsaPublicKey) {
+  return encodeTlv(TAG_SEQUENCE, concatBytes([
+    RSA_ALGORITHM_IDENTIFIER,
+    encodeTlv(TAG_BIT_STRING, concatBytes([new Uint8Array([0]), rsaPublicKey]))
+  ]));
+}
+
+/**
+ * Extracts the PKCS#1 RSAPrivateKey from a DER-encoded PKCS#8 PrivateKeyInfo.
+ *
+ * @param {Uint8Array} pkcs8 - The PrivateKeyInfo bytes.
+ *
+ * @returns {Uint8Array} The RSAPrivateKey bytes.
+ */
+export function pkcs8ToRsaPrivateKey(pkcs8) {
+  const [version, algorithm, privateKey] = readChildren(pkcs8);
+  if(version?.tag !== TAG_INTEGER || privateKey?.tag !== TAG_OCTET_STRING) {
+    throw new KeyFormatError('Invalid PKCS#8 PrivateKeyInfo.');
+  }
+  _assertRsaAlgorithm(pkcs8, algorithm);
+  return pkcs8.slice(privateKey.start, privateKey.end);
+}
+
+/**
+ * Wraps a PKCS#1 RSAPrivateKey in a DER-encoded PKCS#8 PrivateKeyInfo.
+ *
+ * @param {Uint8Array} rsaPrivateKey - The RSAPrivateKey bytes.
+ *
+ * @returns {Uint8Array} The PrivateKeyInfo bytes.
+ */
+export function rsaPrivateKeyToPkcs8(rsaPrivateKey) {
+  return encodeTlv(TAG_SEQUENCE, concatBytes([
+    encodeTlv(TAG_INTEGER, new Uint8Array([0])),
+    RSA_ALGORITHM_IDENTIFIER,
+    encodeTlv(TAG_OCTET_STRING, rsaPrivateKey)
+  ]));
+}
+
+/**
+ * Extracts the PKCS#1 RSAPublicKey from a PKCS#1 RSAPrivateKey.
+ *
+ * @param {Uint8Array} rsaPrivateKey - The RSAPrivateKey bytes.
+ *
+ * @returns {Uint8Array} The RSAPublicKey bytes.
+ */
+export function rsaPrivateKeyToRsaPublicKey(rsaPrivateKey) {
+  const [version, modulus, publicExponent] = readChildren(rsaPrivateKey);
+  if(version?.tag !== TAG_INTEGER || modulus?.tag !== TAG_INTEGER ||
+    publicExponent?.tag !== TAG_INTEGER) {
+    throw new KeyFormatError('Invalid PKCS#1 RSAPrivateKey.');
+  }
+  return encodeTlv(TAG_SEQUENCE, rsaPrivateKey.slice(
+    modulus.offset, publicExponent.end));
+}
+
+/**
+ * Gets the modulus length of a PKCS#1 RSAPublicKey.
+ *
+ * @param {Uint8Array} rsaPublicKey - The RSAPublicKey bytes.
+ *
+ * @returns {number} The modulus length in bits.
+ */
+export function getRsaModulusLength(rsaPublicKey) {
+  const [modulus] = readChildren(rsaPublicKey);
+  if(modulus?.tag !== TAG_INTEGER) {
+    throw new KeyFormatError('Invalid PKCS#1 RSAPublicKey.');
+  }
+  let {start} = modulus;
+  // skip the leading zero byte that keeps the INTEGER positive
+  while(start < modulus.end && rsaPublicKey[start] === 0) {
+    start++;
+  }
+  return (modulus.end - start) * 8;
+}
+
+function _assertRsaAlgorithm(bytes, algorithm) {
+  if(algorithm?.tag !== TAG_SEQUENCE) {
+    throw new KeyFormatError('Invalid AlgorithmIdentifier.');
+  }
+  const oid = readTlv(bytes, algorithm.start);
+  const value = bytes.subarray(oid.start, oid.end);
+  if(oid.tag !== TAG_OID || !equalBytes(value, RSA_ENCRYPTION_OID)) {
+    throw new InvalidKeyError('Key is not an RSA key.');
+  }
+}
@@ -0,0 +1,170 @@
+/*!
+ * Copyright (c) 2024 European EPC Competence Center GmbH. All rights reserved.
+ */
+
+// A key backend keeps the secret key, e.g. in a KMS or HSM, and signs digests
+// on request:
+//
+//   {
+//     metadata: {algorithm, ...},     // JOSE algorithm of the key, required
+//     async getPublicKey(),           // resolves to the public JWK
+//     async sign({digest})            // resolves to the signature bytes
+//   }
+//
+// `digest` is made with the hash function of `metadata.algorithm`, so the
+// signature is the same as signing the message itself, see `signDigest`.
+
+import {InvalidArgumentError, KeyBackendError} from './errors.js';
+import {
+  getAlgorithmFromCryptoKey,
+  getAlgorithmParams,
+  getModulusLengthFromJwk
+} from './helpers.js';
+import {signDigest} from './digest.js';
+import {webcrypto} from './crypto.js';
+import {base64urlDecode, base64urlEncode} from './encoding.js';
+
+/**
+ * Creates an in-memory key backend around WebCrypto keys. It is the reference
+ * implementation of the key backend interface. It signs digests, so it needs
+ * the Node.js runtime, see `lib/runtime.js`.
+ *
+ * @param {object} options - Options hash.
+ * @param {CryptoKey} options.secretKey - The secret key.
+ * @param {CryptoKey} options.publicKey - The public key.
+ * @param {string} [options.algorithm] - The JOSE algorithm; defaults to the
+ *   algorithm of the secret key.
+ *
+ * @returns {object} The key backend.
+ */
+export function createMemoryBackend({secretKey, publicKey, algorithm} = {}) {
+  if(secretKey?.type !== 'private') {
+    throw new InvalidArgumentError('"secretKey" must be a private CryptoKey.');
+  }
+  if(publicKey?.type !== 'public') {
+    throw new InvalidArgumentError('"publicKey" must be a public CryptoKey.');
+  }
+  if(!algorithm) {
+    algorithm = getAlgorithmFromCryptoKey({key: secretKey});
+  }
+  getAlgorithmParams({algorithm});
+  return {
+    metadata: {
+      algorithm,
+      modulusLength: publicKey.algorithm.modulusLength
+    },
+    async getPublicKey() {
+      const {kty, n, e} = await webcrypto.subtle.exportKey('jwk', publicKey);
+      return {kty, n, e, alg: algorithm};
+    },
+    async sign({digest} = {}) {
+      return signDigest({secretKey, algorithm, digest});
+    }
+  };
+}
+
+/**
+ * Creates a key backend for a remote signer speaking JSON over HTTP, e.g. a
+ * gateway in front of a KMS or PKCS#11 token:
+ *
+ * - `GET <url>/key` responds with `{publicKeyJwk, metadata}`.
+ * - `POST <url>/sign` with `{digest, algorithm}` responds with
+ *   `{signature, algorithm}`; `digest` and `signature` are base64url-encoded.
+ *
+ * A signature is only returned if the response names the requested algorithm
+ * and the signature has the length of the modulus; otherwise `sign` throws a
+ * `KeyBackendError`.
+ *
+ * @param {object} options - Options hash.
+ * @param {string} options.url - The base URL of the signer.
+ * @param {object} [options.headers] - Headers sent with every request, e.g.
+ *   for authorization.
+ *
+ * @returns {Promise<object>} The key backend.
+ */
+export async function createHttpBackend({url, headers = {}} = {}) {
+  if(typeof url !== 'string') {
+    throw new InvalidArgumentError('"url" must be a string.');
+  }
+  const baseUrl = url.replace(/\/+$/, '');
+  const {publicKeyJwk, metadata} = await _request(
+    {url: `${baseUrl}/key`, headers});
+  if(typeof publicKeyJwk?.n !== 'string' ||
+    typeof metadata?.algorithm !== 'string') {
+    throw new KeyBackendError(
+      'Key response must have "publicKeyJwk" and "metadata.algorithm".');
+  }
+  const {algorithm} = metadata;
+  const signatureLength = getModulusLengthFromJwk(publicKeyJwk) / 8;
+  return {
+    metadata,
+    async getPublicKey() {
+      return {...publicKeyJwk};
+    },
+    async sign({digest} = {}) {
+      if(!(digest instanceof Uint8Array)) {
+        throw new InvalidArgumentError('"digest" must be a Uint8Array.');
+      }
+      const response = await _request({
+        url: `${baseUrl}/sign`,
+        headers,
+        body: {digest: base64urlEncode(digest), algorithm}
+      });
+      if(typeof response?.signature !== 'string') {
+        throw new KeyBackendError('Sign response must have a "signature".');
+      }
+      if(response.algorithm !== algorithm) {
+        throw new KeyBackendError(
+          `Sign response algorithm "${response.algorithm}" does not match ` +
+          `"${algorithm}".`);
+      }
+      const signature = base64urlDecode(response.signature);
+      if(signature.length !== signatureLength) {
+        throw new KeyBackendError(
+          `Signature must be ${signatureLength} bytes, not ` +
+          `${signature.length}.`);
+      }
+      return signature;
+    }
+  };
+}
+
+/**
+ * Checks that an object implements the key backend interface.
+ *
+ * @param {object} backend - The key backend.
+ */
+export function assertBackend(backend) {
+  if(!backend || typeof backend !== 'object' ||
+    typeof backend.sign !== 'function' ||
+    typeof backend.getPublicKey !== 'function') {
+    throw new InvalidArgumentError(
+      '"backend" must have "sign" and "getPublicKey" functions.');
+  }
+  if(typeof backend.metadata?.algorithm !== 'string') {
+    throw new InvalidArgumentError(
+      '"backend.metadata.algorithm" must be a string.');
+  }
+}
+
+async function _request({url, headers, body}) {
+  let response;
+  try {
+    response = await fetch(url, body === undefined ? {headers} : {
+      method: 'POST',
+      headers: {...headers, 'content-type': 'application/json'},
+      body: JSON.stringify(body)
+    });
+  } catch(e) {
+    throw new KeyBackendError(`Request to "${url}" failed: ${e.message}`);
+  }
+  if(!response.ok) {
+    throw new KeyBackendError(
+      `Request to "${url}" failed with status ${response.status}.`);
+  }
+  try {
+    return await response.json();
+  } catch(e) {
+    throw new KeyBackendError(`Invalid JSON response from "${url}".`);
+  }
+}
@@ -0,0 +1,93 @@
+/*!
+ * Copyright (c) 2024 European EPC Competence Center GmbH. All rights reserved.
+ */
+
+import {InvalidArgumentError} from './errors.js';
+
+// matches the default libuv threadpool size that runs WebCrypto operations
+export const DEFAULT_BATCH_CONCURRENCY = 4;
+
+/**
+ * Signs many items with bounded concurrency. Items are concurrent promises on
+ * the calling thread; only work the signer does off that thread runs in
+ * parallel, such as Node's WebCrypto on its libuv threadpool, a remote key
+ * backend, or pre-hashed signing on the pool of `startWorkerPool`. Aborting
+ * starts no new items and rejects with the signal's reason once the items in
+ * flight have settled.
+ *
+ * @param {object} options - Options hash.
+ * @param {object} options.signer - The signer, see `createSigner`.
+ * @param {Array<object>} options.items - The items to sign, each with `data`.
+ * @param {number} [options.concurrency=4] - Maximum items in flight.
+ * @param {AbortSignal} [options.signal] - Aborts the batch.
+ *
+ * @returns {Promise<Array<object>>} Per item, in input order, the `signature`
+ *   or the `error`.
+ */
+export async function signBatch({
+  signer, items, concurrency = DEFAULT_BATCH_CONCURRENCY, signal
+} = {}) {
+  return _runBatch({
+    items,
+    concurrency,
+    signal,
+    async run({data} = {}) {
+      return {signature: await signer.sign({data})};
+    }
+  });
+}
+
+/**
+ * Verifies many items with bounded concurrency, see `signBatch`.
+ *
+ * @param {object} options - Options hash.
+ * @param {object} options.verifier - The verifier, see `createVerifier`.
+ * @param {Array<object>} options.items - The items to verify, each with
+ *   `data` and `signature`.
+ * @param {number} [options.concurrency=4] - Maximum items in flight.
+ * @param {AbortSignal} [options.signal] - Aborts the batch.
+ *
+ * @returns {Promise<Array<object>>} Per item, in input order, whether it is
+ *   `verified` or the `error`.
+ */
+export async function verifyBatch({
+  verifier, items, concurrency = DEFAULT_BATCH_CONCURRENCY, signal
+} = {}) {
+  return _runBatch({
+    items,
+    concurrency,
+    signal,
+    async run({data, signature} = {}) {
+      return {verified: await verifier.verify({data, signature})};
+    }
+  });
+}
+
+async function _runBatch({items, concurrency, signal, run}) {
+  if(!Array.isArray(items)) {
+    throw new InvalidArgumentError('"items" must be an array.');
+  }
+  if(!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new InvalidArgumentError('"concurrency" must be a positive integer.');
+  }
+  signal?.throwIfAborted();
+
+  const results = new Array(items.length);
+  let next = 0;
+  const work = async () => {
+    while(next < items.length && !signal?.aborted) {
+      const index = next++;
+      try {
+        results[index] = await run(items[index]);
+      } catch(error) {
+        results[index] = {error};
+      }
+    }
+  };
+  // an abort stops the workers before their next item; the batch rejects
+  // only after the items in flight have settled
+  await Promise.all(Array.from(
+    {length: Math.min(concurrency, items.length)}, work));
+  signal?.throwIfAborted();
+  return results;
+}
@@ -0,0 +1,379 @@
+#!/usr/bin/env node
+/*!
+ * Copyright (c) 2024 European EPC Competence Center GmbH. All rights reserved.
+ */
+
+// `rsa-multikey` command-line tool. Every command prints JSON to stdout,
+// except `convert --to pem`, which prints PEM blocks. Errors are printed to
+// stderr as `{"error": {name, code, message}}`.
+import * as RsaMultikey from './node.js';
+import {base64urlDecode, base64urlEncode} from './encoding.js';
+import {createReadStream} from 'node:fs';
+import {InvalidArgumentError, KeyFormatError} from './errors.js';
+import {KEYSTORE_TYPE} from './keystore.js';
+import {parseArgs} from 'node:util';
+import {readFile} from 'node:fs/promises';
+
+// environment variable holding the passphrase of encrypted keys
+const PASSPHRASE_ENV = 'RSA_MULTIKEY_PASSPHRASE';
+
+const KEY_FORMATS = ['multikey', 'jwk', 'pem', 'keystore'];
+
+// exit codes: `verify` with an invalid signature, any other failure
+const EXIT_INVALID_SIGNATURE = 1;
+const EXIT_ERROR = 2;
+
+const USAGE = `Usage: rsa-multikey <command> [options] [file]
+
+Commands:
+  generate  Generate a key pair
+            [--bits <n>] [--controller <did>] [--id <id>]
+            [--algorithm <alg>] [--to <format>] [--encrypt]
+  convert   Convert a key [--from <format>] --to <format>
+            [--id <id>] [--controller <did>] [--public] [--encrypt]
+  inspect   Show modulus size, exponent, thumbprint and id of a key
+            [--from <format>]
+  sign      Sign a file --key <file> [--from <format>] [--algorithm <alg>]
+  verify    Verify the signature of a file --key <file>
+            (--signature <base64url> | --signature-file <file>)
+            [--from <format>] [--algorithm <alg>]
+
+Key formats: ${KEY_FORMATS.join(', ')}; detected if --from is omitted.
+Keys and data are read from [file], or stdin if it is omitted or "-".
+Encrypted keys use the passphrase in $${PASSPHRASE_ENV} or the first line
+of --passphrase-file <file>; --encrypt encrypts output keys with it.
+`;
+
+const COMMON_OPTIONS = {
+  help: {type: 'boolean', short: 'h'},
+  'passphrase-file': {type: 'string'}
+};
+
+const COMMANDS = {
+  generate: {
+    options: {
+      bits: {type: 'string'},
+      controller: {type: 'string'},
+      id: {type: 'string'},
+      algorithm: {type: 'string'},
+      to: {type: 'string', default: 'multikey'},
+      encrypt: {type: 'boolean'}
+    },
+    run: _generate
+  },
+  convert: {
+    options: {
+      from: {type: 'string'},
+      to: {type: 'string'},
+      id: {type: 'string'},
+      controller: {type: 'string'},
+      public: {type: 'boolean'},
+      encrypt: {type: 'boolean'}
+    },
+    run: _convert
+  },
+  inspect: {
+    options: {
+      from: {type: 'string'}
+    },
+    run: _inspect
+  },
+  sign: {
+    options: {
+      key: {type: 'string'},
+      from: {type: 'string'},
+      algorithm: {type: 'string'}
+    },
+    run: _sign
+  },
+  verify: {
+    options: {
+      key: {type: 'string'},
+      from: {type: 'string'},
+      algorithm: {type: 'string'},
+      signature: {type: 'string'},
+      'signature-file': {type: 'string'}
+    },
+    run: _verify
+  }
+};
+
+/**
+ * Runs the command-line tool.
+ *
+ * @param {object} options - Options hash.
+ * @param {Array<string>} options.args - The command-line arguments.
+ * @param {object} options.env - The environment variables.
+ * @param {object} options.stdout - The stream to print results to.
+ *
+ * @returns {Promise<number>} The exit code.
+ */
+async function main({args, env, stdout}) {
+  const [command, ...rest] = args;
+  if(!command || command === '--help' || command === '-h') {
+    stdout.write(USAGE);
+    return command ? 0 : EXIT_ERROR;
+  }
+  if(!Object.hasOwn(COMMANDS, command)) {
+    throw new InvalidArgumentError(`Unknown command "${command}".`);
+  }
+  const {options, run} = COMMANDS[command];
+  const {values, positionals} = parseArgs({
+    args: rest,
+    options: {...COMMON_OPTIONS, ...options},
+    allowPositionals: true
+  });
+  if(values.help) {
+    stdout.write(USAGE);
+    return 0;
+  }
+  if(positionals.length > 1) {
+    throw new InvalidArgumentError(
+      `"${command}" takes at most one file argument.`);
+  }
+  const [file] = positionals;
+  const passphrase = await _getPassphrase({values, env});
+  const {output, exitCode = 0} = await run({values, file, passphrase});
+  stdout.write(typeof output === 'string' ?
+    output : JSON.stringify(output, null, 2) + '\n');
+  return exitCode;
+}
+
+async function _generate({values, passphrase}) {
+  const {controller, id, algorithm} = values;
+  let modulusLength;
+  if(values.bits !== undefined) {
+    modulusLength = Number(values.bits);
+    if(!Number.isInteger(modulusLength)) {
+      throw new InvalidArgumentError('"--bits" must be an integer.');
+    }
+  }
+  const keyPair = await RsaMultikey.generate(
+    {id, controller, algorithm, modulusLength});
+  return {
+    output: await _exportKey({
+      keyPair, format: values.to, secretKey: true,
+      encrypt: values.encrypt, passphrase
+    })
+  };
+}
+
+async function _convert({values, file, passphrase}) {
+  if(!values.to) {
+    throw new InvalidArgumentError('"--to" is required.');
+  }
+  const {id, controller} = values;
+  const keyPair = await _loadKey(
+    {file, format: values.from, passphrase, id, controller});
+  return {
+    output: await _exportKey({
+      keyPair, format: values.to, secretKey: !values.public,
+      encrypt: values.encrypt, passphrase
+    })
+  };
+}
+
+async function _inspect({values, file, passphrase}) {
+  const keyPair = await _loadKey({file, format: values.from, passphrase});
+  const jwk = await RsaMultikey.toJwk({keyPair});
+  return {
+    output: {
+      id: keyPair.id,
+      controller: keyPair.controller,
+      algorithm: keyPair.algorithm,
+      modulusLength: keyPair.modulusLength,
+      publicExponent: Number(_bytesToBigInt(base64urlDecode(jwk.e))),
+      thumbprint: await keyPair.thumbprint(),
+      thumbprintUri: await keyPair.thumbprintUri(),
+      publicKeyMultibase: keyPair.publicKeyMultibase,
+      secretKey: !!keyPair.secretKey,
+      ...(keyPair.created && {created: keyPair.created})
+    }
+  };
+}
+
+async function _sign({values, file, passphrase}) {
+  const keyPair = await _loadSigningKey({values, passphrase});
+  const signer = keyPair.signer({algorithm: values.algorithm});
+  const digest = await RsaMultikey.hashStream(
+    {stream: _openInput(file), algorithm: signer.algorithm});
+  const signature = await signer.signDigest({digest});
+  return {
+    output: {
+      id: signer.id,
+      algorithm: signer.algorithm,
+      signature: base64urlEncode(signature)
+    }
+  };
+}
+
+async function _verify({values, file, passphrase}) {
+  const keyPair = await _loadSigningKey({values, passphrase});
+  const signature = await _getSignature({values});
+  const verifier = keyPair.verifier({algorithm: values.algorithm});
+  const digest = await RsaMultikey.hashStream(
+    {stream: _openInput(file), algorithm: verifier.algorithm});
+  const verified = await verifier.verifyDigest({digest, signature});
+  return {
+    output: {id: verifier.id, algorithm: verifier.algorithm, verified},
+    exitCode: verified ? 0 : EXIT_INVALID_SIGNATURE
+  };
+}
+
+async function _loadKey({file, format, passphrase, id, controller}) {
+  const text = (await _readInput(file)).trim();
+  const input = _parseKey({text, format});
+  const overrides = {
+    ...(id !== undefined && {id}),
+    ...(controller !== undefined && {controller})
+  };
+  switch(input.format) {
+    case 'pem':
+      return RsaMultikey.fromPem({pem: text, passphrase, ...overrides});
+    case 'jwk':
+      return RsaMultikey.fromJwk(
+        {jwk: input.value, secretKey: true, passphrase, ...overrides});
+    case 'keystore':
+      return RsaMultikey.fromKeystore(
+        {...input.value, ...overrides}, {passphrase});
+    default:
+      return RsaMultikey.from({...input.value, ...overrides}, {passphrase});
+  }
+}
+
+// signers and verifiers need a key id, which PEM and JWK keys lack
+async function _loadSigningKey({values, passphrase}) {
+  if(values.key === undefined) {
+    throw new InvalidArgumentError('"--key" is required.');
+  }
+  const options = {file: values.key, format: values.from, passphrase};
+  const keyPair = await _loadKey(options);
+  if(keyPair.id) {
+    return keyPair;
+  }
+  return _loadKey({...options, id: await keyPair.thumbprintUri()});
+}
+
+function _parseKey({text, format}) {
+  if(format !== undefined && !KEY_FORMATS.includes(format)) {
+    throw new InvalidArgumentError(
+      `"--from" must be one of: ${KEY_FORMATS.join(', ')}.`);
+  }
+  if(text.startsWith('-----BEGIN')) {
+    return _checkFormat({detected: 'pem', format, value: text});
+  }
+  // a compact JWE of an encrypted secret JWK, as written by `--to jwk`
+  if(/^[\w-]*(\.[\w-]*){4}$/.test(text)) {
+    return _checkFormat({detected: 'jwk', format, value: text});
+  }
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch(e) {
+    throw new KeyFormatError('Key is neither PEM nor JSON.');
+  }
+  let detected;
+  if(typeof value === 'string') {
+    detected = 'jwk';
+  } else if(value?.type === KEYSTORE_TYPE) {
+    detected = 'keystore';
+  } else if(value?.kty) {
+    detected = 'jwk';
+  } else if(value?.type === 'Multikey') {
+    detected = 'multikey';
+  } else {
+    throw new KeyFormatError('Unrecognized key format.');
+  }
+  return _checkFormat({detected, format, value});
+}
+
+function _checkFormat({detected, format = detected, value}) {
+  if(format !== detected) {
+    throw new KeyFormatError(`Key is not in "${format}" format.`);
+  }
+  return {format, value};
+}
+
+async function _exportKey({keyPair, format, secretKey, encrypt, passphrase}) {
+  if(!KEY_FORMATS.includes(format)) {
+    throw new InvalidArgumentError(
+      `"--to" must be one of: ${KEY_FORMATS.join(', ')}.`);
+  }
+  if((encrypt || format === 'keystore') && passphrase === undefined) {
+    throw new InvalidArgumentError(
+      `A passphrase is required; set ${PASSPHRASE_ENV} or ` +
+      '"--passphrase-file".');
+  }
+  if(format === 'keystore') {
+    return keyPair.toKeystore({passphrase});
+  }
+  secretKey = secretKey && !!keyPair.secretKey;
+  const outputPassphrase = encrypt && secretKey ? passphrase : undefined;
+  if(format === 'jwk') {
+    return RsaMultikey.toJwk(
+      {keyPair, secretKey, passphrase: outputPassphrase});
+  }
+  if(format === 'pem') {
+    const pem = await keyPair.export(
+      {secretKey, format: 'pem', passphrase: outputPassphrase});
+    return [pem.publicKey, pem.secretKey].filter(Boolean)
+      .map(block => block.trim() + '\n').join('');
+  }
+  return keyPair.export({secretKey, passphrase: outputPassphrase});
+}
+
+async function _getPassphrase({values, env}) {
+  const file = values['passphrase-file'];
+  if(file !== undefined) {
+    const [line] = (await readFile(file, 'utf8')).split(/\r?\n/);
+    return line;
+  }
+  return env[PASSPHRASE_ENV];
+}
+
+async function _getSignature({values}) {
+  const {signature, 'signature-file': file} = values;
+  if((signature === undefined) === (file === undefined)) {
+    throw new InvalidArgumentError(
+      'One of "--signature" and "--signature-file" is required.');
+  }
+  let encoded = signature;
+  if(file !== undefined) {
+    // the output of `sign`, or just the base64url-encoded signature
+    encoded = (await readFile(file, 'utf8')).trim();
+    if(encoded.startsWith('{')) {
+      encoded = JSON.parse(encoded).signature;
+    }
+  }
+  if(typeof encoded !== 'string') {
+    throw new InvalidArgumentError('Signature must be a base64url string.');
+  }
+  return base64urlDecode(encoded);
+}
+
+function _openInput(file) {
+  return file === undefined || file === '-' ?
+    process.stdin : createReadStream(file);
+}
+
+async function _readInput(file) {
+  const chunks = [];
+  for await (const chunk of _openInput(file)) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+function _bytesToBigInt(bytes) {
+  return bytes.reduce((n, byte) => (n << 8n) | BigInt(byte), 0n);
+}
+
+main({args: process.argv.slice(2), env: process.env, stdout: process.stdout})
+  .then(exitCode => {
+    process.exitCode = exitCode;
+  }, e => {
+    const {name, code, message} = e;
+    process.stderr.write(
+      JSON.stringify({error: {name, code, message}}, null, 2) + '\n');
+    process.exitCode = EXIT_ERROR;
+  });
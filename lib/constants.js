@@ -2,10 +2,45 @@
  * Copyright (c) 2024 European EPC Competence Center GmbH. All rights reserved.
  */
 
-export const ALGORITHM = 'RSA-PSS';
+// WebCrypto parameters for the supported JOSE algorithms
+export const ALGORITHMS = {
+  PS256: {name: 'RSA-PSS', hash: 'SHA-256', saltLength: 32},
+  PS384: {name: 'RSA-PSS', hash: 'SHA-384', saltLength: 48},
+  PS512: {name: 'RSA-PSS', hash: 'SHA-512', saltLength: 64},
+  RS256: {name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256'},
+  RS384: {name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-384'},
+  RS512: {name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-512'}
+};
+export const DEFAULT_ALGORITHM = 'PS256';
 export const MULTIKEY_CONTEXT_V1_URL = 'https://w3id.org/security/multikey/v1';
+export const DID_CONTEXT_V1_URL = 'https://www.w3.org/ns/did/v1';
+export const JWK_CONTEXT_V1_URL = 'https://w3id.org/security/jwk/v1';
+export const JWS_2020_CONTEXT_V1_URL =
+  'https://w3id.org/security/suites/jws-2020/v1';
 export const EXTRACTABLE = true;
 
+// `code` values of detailed verification results
+export const VERIFY_RESULT_CODES = {
+  SIGNATURE_LENGTH: 'ERR_SIGNATURE_LENGTH',
+  ALGORITHM: 'ERR_ALGORITHM_MISMATCH',
+  KEY_TYPE: 'ERR_KEY_TYPE',
+  SIGNATURE_MISMATCH: 'ERR_SIGNATURE_MISMATCH',
+  ERROR: 'ERR_VERIFICATION_ERROR'
+};
+
+// key policy that the import functions enforce, see `validateKey`
+export const DEFAULT_KEY_POLICY = {
+  minModulusLength: 2048,
+  allowedExponents: [65537],
+  checkConsistency: true,
+  checkCrtParams: true
+};
+
+// multicodec rsa-pub header (0x1205), varint-encoded
+export const MULTICODEC_RSA_PUB_HEADER = new Uint8Array([0x85, 0x24]);
+// multicodec rsa-priv header (0x1305), varint-encoded
+export const MULTICODEC_RSA_PRIV_HEADER = new Uint8Array([0x85, 0x26]);
+
 // RSA modulus lengths
 export const RSA_MODULUS_LENGTH = {
   '2048': 2048,
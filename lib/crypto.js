@@ -2,10 +2,9 @@
  * Copyright (c) 2024 European EPC Competence Center GmbH. All rights reserved.
  */
 
-import {webcrypto} from 'node:crypto';
-
-// Re-export webcrypto for convenience
-export {webcrypto};
+// WebCrypto of the runtime: Node.js, browsers, Deno and Bun all provide it
+// as `globalThis.crypto`
+export const webcrypto = globalThis.crypto;
 
 // CryptoKey wrapper for compatibility
 export class CryptoKey {
@@ -0,0 +1,117 @@
+/*!
+ * Copyright (c) 2024 European EPC Competence Center GmbH. All rights reserved.
+ */
+
+import canonicalize from 'canonicalize';
+import {concatBytes} from './asn1.js';
+import {DEFAULT_ALGORITHM} from './constants.js';
+import {from} from './keyPair.js';
+import {getAlgorithmParams} from './helpers.js';
+import jsonld from 'jsonld';
+import {webcrypto} from './crypto.js';
+import {InvalidArgumentError, UnsupportedAlgorithmError} from './errors.js';
+
+/**
+ * Data Integrity cryptosuite for RSA-PSS (PS256) keys using RDF Dataset
+ * Canonicalization, for use with `DataIntegrityProof`.
+ */
+export const rsaRdfc2025Cryptosuite = {
+  name: 'rsa-rdfc-2025',
+  requiredAlgorithm: 'PS256',
+  canonize: _canonize,
+  createVerifier: _createVerifier,
+  async createVerifyData({document, proof, documentLoader} = {}) {
+    return _createVerifyData({
+      document,
+      proof,
+      canonize: input => _canonize(input, {documentLoader}),
+      algorithm: DEFAULT_ALGORITHM
+    });
+  }
+};
+
+/**
+ * Data Integrity cryptosuite for RSA-PSS keys using JSON Canonicalization
+ * (RFC 8785), for plain JSON documents. The hash function follows the key's
+ * algorithm, e.g. SHA-384 for PS384: `DataIntegrityProof` passes its signer
+ * when creating a proof and the verification method when verifying one.
+ */
+export const rsaJcs2025Cryptosuite = {
+  name: 'rsa-jcs-2025',
+  requiredAlgorithm: ['PS256', 'PS384', 'PS512'],
+  canonize: _canonizeJcs,
+  createVerifier: _createVerifier,
+  async createVerifyData({
+    document, proof, algorithm, dataIntegrityProof, verificationMethod
+  } = {}) {
+    algorithm = await _getAlgorithm(
+      {algorithm, signer: dataIntegrityProof?.signer, verificationMethod});
+    if(!rsaJcs2025Cryptosuite.requiredAlgorithm.includes(algorithm)) {
+      throw new UnsupportedAlgorithmError(
+        `"algorithm" must be one of: ` +
+        `${rsaJcs2025Cryptosuite.requiredAlgorithm.join(', ')}.`);
+    }
+    return _createVerifyData(
+      {document, proof, canonize: _canonizeJcs, algorithm});
+  }
+};
+
+async function _canonize(input, options) {
+  return jsonld.canonize(input, {
+    algorithm: 'RDFC-1.0',
+    format: 'application/n-quads',
+    safe: true,
+    ...options
+  });
+}
+
+async function _canonizeJcs(input) {
+  return canonicalize(input);
+}
+
+async function _createVerifier({verificationMethod} = {}) {
+  const keyPair = await from(verificationMethod);
+  return keyPair.verifier();
+}
+
+async function _getAlgorithm({algorithm, signer, verificationMethod}) {
+  if(algorithm) {
+    return algorithm;
+  }
+  if(signer?.algorithm) {
+    return signer.algorithm;
+  }
+  if(verificationMethod) {
+    return (await from(verificationMethod)).algorithm;
+  }
+  return DEFAULT_ALGORITHM;
+}
+
+// hash(canonized proof config) || hash(canonized document)
+async function _createVerifyData({document, proof, canonize, algorithm}) {
+  if(!document || typeof document !== 'object') {
+    throw new InvalidArgumentError('"document" must be an object.');
+  }
+  if(!proof || typeof proof !== 'object') {
+    throw new InvalidArgumentError('"proof" must be an object.');
+  }
+  // the proof config is the proof without its value, in the document context
+  const {proofValue, ...proofConfig} = proof;
+  if(document['@context'] !== undefined) {
+    proofConfig['@context'] = document['@context'];
+  }
+  const {proof: existingProof, ...unsecuredDocument} = document;
+
+  const {hash} = getAlgorithmParams({algorithm});
+  const [proofConfigHash, documentHash] = await Promise.all([
+    canonize(proofConfig).then(data => _hash({hash, data})),
+    canonize(unsecuredDocument).then(data => _hash({hash, data}))
+  ]);
+  return concatBytes([proofConfigHash, documentHash]);
+}
+
+async function _hash({hash, data}) {
+  const digest = await webcrypto.subtle.digest(
+    hash, new TextEncoder().encode(data));
+  return new Uint8Array(digest);
+}
@@ -0,0 +1,325 @@
+/*!
+ * Copyright (c) 2024 European EPC Competence Center GmbH. All rights reserved.
+ */
+
+import {
+  DID_CONTEXT_V1_URL,
+  JWK_CONTEXT_V1_URL,
+  JWS_2020_CONTEXT_V1_URL,
+  MULTICODEC_RSA_PUB_HEADER,
+  MULTIKEY_CONTEXT_V1_URL
+} from './constants.js';
+import {base58btc} from 'multiformats/bases/base58';
+import {
+  InvalidArgumentError,
+  InvalidKeyError,
+  KeyFormatError,
+  MissingSecretKeyError
+} from './errors.js';
+
+const DID_KEY_PREFIX = 'did:key:';
+
+// JSON-LD context of each supported verification method type
+const VERIFICATION_METHOD_CONTEXTS = {
+  Multikey: MULTIKEY_CONTEXT_V1_URL,
+  JsonWebKey: JWK_CONTEXT_V1_URL,
+  JsonWebKey2020: JWS_2020_CONTEXT_V1_URL
+};
+
+// verification relationships for signing keys
+const VERIFICATION_RELATIONSHIPS = [
+  'assertionMethod',
+  'authentication',
+  'capabilityInvocation',
+  'capabilityDelegation'
+];
+const DEFAULT_RELATIONSHIPS = ['assertionMethod', 'authentication'];
+
+// JWK members published in verification methods
+const PUBLIC_JWK_MEMBERS = ['kty', 'n', 'e', 'alg', 'x5c', 'x5t#S256'];
+const SECRET_JWK_MEMBERS = [
+  ...PUBLIC_JWK_MEMBERS, 'd', 'p', 'q', 'dp', 'dq', 'qi'
+];
+
+/**
+ * Creates a did:key identifier from a multicodec public key.
+ *
+ * @param {object} options - Options hash.
+ * @param {string} options.publicKeyMultibase - The multibase-encoded
+ *   `rsa-pub` public key.
+ *
+ * @returns {string} The did:key identifier.
+ */
+export function createDidKey({publicKeyMultibase} = {}) {
+  _assertRsaPublicKeyMultibase(publicKeyMultibase);
+  return `${DID_KEY_PREFIX}${publicKeyMultibase}`;
+}
+
+/**
+ * Parses a did:key identifier or DID URL.
+ *
+ * @param {string} did - The did:key identifier, optionally with fragment.
+ *
+ * @returns {object} The `did`, `publicKeyMultibase` and `fragment`.
+ */
+export function parseDidKey(did) {
+  if(typeof did !== 'string' || !did.startsWith(DID_KEY_PREFIX)) {
+    throw new InvalidArgumentError('"did" must be a did:key identifier.');
+  }
+  const [identifier, fragment] = did.split('#');
+  const publicKeyMultibase = identifier.slice(DID_KEY_PREFIX.length);
+  _assertRsaPublicKeyMultibase(publicKeyMultibase);
+  if(fragment !== undefined && fragment !== publicKeyMultibase) {
+    throw new InvalidArgumentError(
+      '"did" fragment must match the did:key public key.');
+  }
+  return {did: identifier, publicKeyMultibase, fragment};
+}
+
+/**
+ * Creates the DID document for a did:key identifier.
+ *
+ * @param {object} options - Options hash.
+ * @param {string} options.publicKeyMultibase - The multibase-encoded
+ *   `rsa-pub` public key.
+ *
+ * @returns {object} The DID document.
+ */
+export function createDidKeyDocument({publicKeyMultibase} = {}) {
+  const did = createDidKey({publicKeyMultibase});
+  const verificationMethodId = `${did}#${publicKeyMultibase}`;
+  return {
+    '@context': [DID_CONTEXT_V1_URL, MULTIKEY_CONTEXT_V1_URL],
+    id: did,
+    verificationMethod: [{
+      id: verificationMethodId,
+      type: 'Multikey',
+      controller: did,
+      publicKeyMultibase
+    }],
+    authentication: [verificationMethodId],
+    assertionMethod: [verificationMethodId],
+    capabilityDelegation: [verificationMethodId],
+    capabilityInvocation: [verificationMethodId]
+  };
+}
+
+/**
+ * Builds a verification method for a DID document from a key pair.
+ *
+ * @param {object} options - Options hash.
+ * @param {object} options.keyPair - The key pair interface.
+ * @param {string} [options.type='Multikey'] - The verification method type:
+ *   "Multikey" (`publicKeyMultibase`), "JsonWebKey" or "JsonWebKey2020"
+ *   (`publicKeyJwk`).
+ * @param {string} [options.id] - The verification method id; defaults to the
+ *   key pair's id. A fragment such as "#key-1" is resolved against the
+ *   controller.
+ * @param {string} [options.controller] - The controller (DID); defaults to
+ *   the key pair's controller.
+ * @param {boolean} [options.secretKey=false] - Whether to include the secret
+ *   key as `secretKeyMultibase` or `privateKeyJwk`; never publish it.
+ *
+ * @returns {Promise<object>} The verification method.
+ */
+export async function toVerificationMethod({
+  keyPair, type = 'Multikey', id = keyPair?.id,
+  controller = keyPair?.controller, secretKey = false
+} = {}) {
+  if(typeof keyPair?.export !== 'function') {
+    throw new InvalidArgumentError('"keyPair" must be a key pair interface.');
+  }
+  _assertVerificationMethodType(type);
+  if(!controller || typeof controller !== 'string') {
+    throw new InvalidArgumentError('"controller" must be a non-empty string.');
+  }
+  if(!id || typeof id !== 'string') {
+    throw new InvalidArgumentError('"id" must be a non-empty string.');
+  }
+  if(secretKey && !keyPair.secretKey) {
+    throw new MissingSecretKeyError(
+      'Secret key is required to include it in the verification method.');
+  }
+  const exported = await keyPair.export(
+    {publicKey: true, secretKey, includeContext: false});
+  const verificationMethod = {
+    id: _resolveId(id, controller),
+    type,
+    controller
+  };
+  if(type === 'Multikey') {
+    verificationMethod.publicKeyMultibase = exported.publicKeyMultibase;
+    if(secretKey) {
+      verificationMethod.secretKeyMultibase = exported.secretKeyMultibase;
+    }
+    return verificationMethod;
+  }
+  verificationMethod.publicKeyJwk = _pick(
+    exported.publicKeyJwk, PUBLIC_JWK_MEMBERS);
+  if(secretKey) {
+    verificationMethod.privateKeyJwk = _pick(
+      exported.secretKeyJwk, SECRET_JWK_MEMBERS);
+  }
+  return verificationMethod;
+}
+
+/**
+ * Adds a verification method to a DID document, or creates a DID document
+ * for it, and references it under the given verification relationships. A
+ * method with the same id is replaced. The given document is not modified.
+ *
+ * @param {object} options - Options hash.
+ * @param {object} [options.didDocument] - The DID document to update;
+ *   without it, a document whose id is the method's controller is created.
+ * @param {object} options.verificationMethod - The verification method, see
+ *   `toVerificationMethod`.
+ * @param {Array<string>} [options.relationships] - The verification
+ *   relationships to reference the method under; defaults to
+ *   "assertionMethod" and "authentication".
+ *
+ * @returns {object} The new DID document.
+ */
+export function addVerificationMethod({
+  didDocument, verificationMethod, relationships = DEFAULT_RELATIONSHIPS
+} = {}) {
+  if(!verificationMethod || typeof verificationMethod !== 'object' ||
+    typeof verificationMethod.id !== 'string') {
+    throw new InvalidArgumentError(
+      '"verificationMethod" must be an object with an "id".');
+  }
+  _assertVerificationMethodType(verificationMethod.type);
+  if(!Array.isArray(relationships) ||
+    !relationships.every(r => VERIFICATION_RELATIONSHIPS.includes(r))) {
+    throw new InvalidArgumentError(
+      '"relationships" must be an array of: ' +
+      `${VERIFICATION_RELATIONSHIPS.join(', ')}.`);
+  }
+  if(didDocument !== undefined &&
+    (!didDocument || typeof didDocument !== 'object' ||
+    typeof didDocument.id !== 'string')) {
+    throw new InvalidArgumentError(
+      '"didDocument" must be an object with an "id".');
+  }
+  if(!didDocument && typeof verificationMethod.controller !== 'string') {
+    throw new InvalidArgumentError(
+      '"verificationMethod" must have a "controller" to create a DID ' +
+      'document.');
+  }
+  const document = didDocument ? structuredClone(didDocument) : {
+    '@context': [DID_CONTEXT_V1_URL],
+    id: verificationMethod.controller
+  };
+
+  const contexts = [document['@context'] ?? DID_CONTEXT_V1_URL].flat();
+  const context = VERIFICATION_METHOD_CONTEXTS[verificationMethod.type];
+  if(!contexts.includes(context)) {
+    contexts.push(context);
+  }
+  document['@context'] = contexts;
+
+  const id = _resolveId(verificationMethod.id, document.id);
+  const methods = (document.verificationMethod ?? []).filter(
+    method => _resolveId(method.id, document.id) !== id);
+  document.verificationMethod = [...methods, verificationMethod];
+  for(const relationship of relationships) {
+    const references = document[relationship] ?? [];
+    if(!references.some(
+      reference => _getReferenceId(reference, document.id) === id)) {
+      references.push(verificationMethod.id);
+    }
+    document[relationship] = references;
+  }
+  return document;
+}
+
+/**
+ * Gets a verification method from a DID document by its id. Methods
+ * embedded in verification relationships are found as well.
+ *
+ * @param {object} options - Options hash.
+ * @param {object} options.didDocument - The DID document.
+ * @param {string} options.id - The verification method id, or its fragment
+ *   such as "#key-1".
+ * @param {string} [options.relationship] - A verification relationship, e.g.
+ *   "assertionMethod", that the method must be referenced under.
+ *
+ * @returns {object} The verification method, with an absolute id.
+ */
+export function getVerificationMethod({didDocument, id, relationship} = {}) {
+  if(!didDocument || typeof didDocument !== 'object') {
+    throw new InvalidArgumentError('"didDocument" must be an object.');
+  }
+  if(!id || typeof id !== 'string') {
+    throw new InvalidArgumentError('"id" must be a non-empty string.');
+  }
+  if(relationship !== undefined &&
+    !VERIFICATION_RELATIONSHIPS.includes(relationship)) {
+    throw new InvalidArgumentError(
+      '"relationship" must be one of: ' +
+      `${VERIFICATION_RELATIONSHIPS.join(', ')}.`);
+  }
+  const methodId = _resolveId(id, didDocument.id);
+  const relationships = relationship === undefined ?
+    VERIFICATION_RELATIONSHIPS : [relationship];
+  const references = relationships.flatMap(r => didDocument[r] ?? []);
+  const isMatch = reference =>
+    _getReferenceId(reference, didDocument.id) === methodId;
+  if(relationship !== undefined && !references.some(isMatch)) {
+    throw new InvalidArgumentError(
+      `Verification method "${methodId}" is not referenced under ` +
+      `"${relationship}".`);
+  }
+  const method = [
+    ...(didDocument.verificationMethod ?? []),
+    ...references.filter(r => r && typeof r === 'object')
+  ].find(isMatch);
+  if(!method) {
+    throw new InvalidArgumentError(
+      `Verification method "${methodId}" not found in DID document.`);
+  }
+  _assertVerificationMethodType(method.type);
+  return {
+    ...method,
+    id: methodId,
+    controller: method.controller ?? didDocument.id
+  };
+}
+
+function _assertVerificationMethodType(type) {
+  if(!Object.hasOwn(VERIFICATION_METHOD_CONTEXTS, type)) {
+    throw new KeyFormatError(
+      'Verification method type must be one of: ' +
+      `${Object.keys(VERIFICATION_METHOD_CONTEXTS).join(', ')}.`);
+  }
+}
+
+// resolves a relative DID URL such as "#key-1" against a DID
+function _resolveId(id, did) {
+  return id?.startsWith('#') && did ? `${did}${id}` : id;
+}
+
+function _getReferenceId(reference, did) {
+  return _resolveId(
+    typeof reference === 'string' ? reference : reference?.id, did);
+}
+
+function _pick(object, members) {
+  return Object.fromEntries(
+    members.filter(m => object[m] !== undefined).map(m => [m, object[m]]));
+}
+
+function _assertRsaPublicKeyMultibase(publicKeyMultibase) {
+  if(typeof publicKeyMultibase !== 'string') {
+    throw new InvalidArgumentError('"publicKeyMultibase" must be a string.');
+  }
+  let decoded;
+  try {
+    decoded = base58btc.decode(publicKeyMultibase);
+  } catch(e) {
+    throw new KeyFormatError('"publicKeyMultibase" must be base58btc encoded.');
+  }
+  if(!MULTICODEC_RSA_PUB_HEADER.every((b, i) => decoded[i] === b)) {
+    throw new InvalidKeyError(
+      '"publicKeyMultibase" must be an "rsa-pub" multicodec key.');
+  }
+}
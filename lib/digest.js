@@ -0,0 +1,214 @@
+/*!
+ * Copyright (c) 2024 European EPC Competence Center GmbH. All rights reserved.
+ */
+
+import {concatBytes, equalBytes} from './asn1.js';
+import {DEFAULT_ALGORITHM} from './constants.js';
+import {getAlgorithmParams} from './helpers.js';
+import {getRuntime} from './runtime.js';
+import {hexToBytes} from './encoding.js';
+import {InvalidArgumentError, InvalidKeyError} from './errors.js';
+import {webcrypto} from './crypto.js';
+
+// DER-encoded DigestInfo prefixes for EMSA-PKCS1-v1_5 (RFC 8017 section 9.2)
+const DIGEST_INFO_PREFIXES = {
+  'SHA-256': '3031300d060960864801650304020105000420',
+  'SHA-384': '3041300d060960864801650304020205000430',
+  'SHA-512': '3051300d060960864801650304020305000440'
+};
+
+/**
+ * Hashes a stream with the hash function of a JOSE algorithm. Node.js hashes
+ * incrementally; other runtimes buffer the stream, see `lib/runtime.js`.
+ *
+ * @param {object} options - Options hash.
+ * @param {AsyncIterable<Uint8Array|string>} options.stream - A Node readable
+ *   stream or another (async) iterable of chunks.
+ * @param {string} [options.algorithm='PS256'] - The JOSE algorithm.
+ *
+ * @returns {Promise<Uint8Array>} The digest.
+ */
+export async function hashStream({stream, algorithm = DEFAULT_ALGORITHM} = {}) {
+  if(!stream || !(Symbol.asyncIterator in stream || Symbol.iterator in stream)) {
+    throw new InvalidArgumentError('"stream" must be an async iterable.');
+  }
+  const {hash: hashName} = getAlgorithmParams({algorithm});
+  const hash = getRuntime().createHash(hashName);
+  for await (const chunk of stream) {
+    if(typeof chunk !== 'string' && !(chunk instanceof Uint8Array)) {
+      throw new InvalidArgumentError(
+        '"stream" chunks must be strings or Uint8Arrays.');
+    }
+    hash.update(chunk);
+  }
+  return hash.digest();
+}
+
+/**
+ * Signs a message digest. The signature is the same as signing the message
+ * itself with `createSigner`.
+ *
+ * @param {object} options - Options hash.
+ * @param {CryptoKey} options.secretKey - The secret key.
+ * @param {string} options.algorithm - The JOSE algorithm.
+ * @param {Uint8Array} options.digest - The digest of the message.
+ *
+ * @returns {Promise<Uint8Array>} The signature.
+ */
+export async function signDigest({secretKey, algorithm, digest} = {}) {
+  const {name, hash, saltLength} = getAlgorithmParams({algorithm});
+  _assertDigest({digest, hash});
+  const {modulusLength} = secretKey.algorithm;
+  if(name === 'RSASSA-PKCS1-v1_5') {
+    // the runtime pads the DigestInfo, e.g. OpenSSL's RSA_PKCS1_PADDING
+    const digestInfo = _getDigestInfo({digest, hash, modulusLength});
+    return getRuntime().rsaPrivate(
+      {secretKey, input: digestInfo, padding: 'pkcs1'});
+  }
+  // no runtime signs a PSS digest, so it is encoded here and signed raw
+  const encoded = await _encodePss({digest, hash, saltLength, modulusLength});
+  return getRuntime().rsaPrivate({secretKey, input: encoded, padding: 'none'});
+}
+
+/**
+ * Verifies the signature of a message digest.
+ *
+ * @param {object} options - Options hash.
+ * @param {CryptoKey} options.publicKey - The public key.
+ * @param {string} options.algorithm - The JOSE algorithm.
+ * @param {Uint8Array} options.digest - The digest of the message.
+ * @param {Uint8Array} options.signature - The signature.
+ *
+ * @returns {Promise<boolean>} Whether the signature is valid.
+ */
+export async function verifyDigest({
+  publicKey, algorithm, digest, signature
+} = {}) {
+  const {name, hash, saltLength} = getAlgorithmParams({algorithm});
+  _assertDigest({digest, hash});
+  if(!(signature instanceof Uint8Array)) {
+    throw new InvalidArgumentError('"signature" must be a Uint8Array.');
+  }
+  const {modulusLength} = publicKey.algorithm;
+  if(signature.length !== Math.ceil(modulusLength / 8)) {
+    return false;
+  }
+  let encoded;
+  try {
+    encoded = await getRuntime().rsaPublic({publicKey, input: signature});
+  } catch(e) {
+    // e.g. the signature is not smaller than the modulus
+    return false;
+  }
+  if(name === 'RSASSA-PKCS1-v1_5') {
+    return equalBytes(encoded, _encodePkcs1({digest, hash, modulusLength}));
+  }
+  return _verifyPss({encoded, digest, hash, saltLength, modulusLength});
+}
+
+// EMSA-PKCS1-v1_5-ENCODE (RFC 8017 section 9.2), used to verify
+function _encodePkcs1({digest, hash, modulusLength}) {
+  const digestInfo = _getDigestInfo({digest, hash, modulusLength});
+  const emLength = Math.ceil(modulusLength / 8);
+  const encoded = new Uint8Array(emLength).fill(0xff);
+  encoded[0] = 0x00;
+  encoded[1] = 0x01;
+  encoded[emLength - digestInfo.length - 1] = 0x00;
+  encoded.set(digestInfo, emLength - digestInfo.length);
+  return encoded;
+}
+
+// EMSA-PSS-ENCODE (RFC 8017 section 9.1.1), left-padded to the modulus size
+async function _encodePss({digest, hash, saltLength, modulusLength}) {
+  const hashLength = digest.length;
+  const emBits = modulusLength - 1;
+  const emLength = Math.ceil(emBits / 8);
+  if(emLength < hashLength + saltLength + 2) {
+    throw new InvalidKeyError('RSA modulus is too short for the algorithm.');
+  }
+  const salt = webcrypto.getRandomValues(new Uint8Array(saltLength));
+  const h = await _hash(
+    {hash, data: concatBytes([new Uint8Array(8), digest, salt])});
+  const db = new Uint8Array(emLength - hashLength - 1);
+  db[db.length - saltLength - 1] = 0x01;
+  db.set(salt, db.length - saltLength);
+  const dbMask = await _mgf1({hash, seed: h, length: db.length});
+  for(let i = 0; i < db.length; ++i) {
+    db[i] ^= dbMask[i];
+  }
+  db[0] &= 0xff >> (8 * emLength - emBits);
+
+  const encoded = new Uint8Array(Math.ceil(modulusLength / 8));
+  encoded.set(
+    concatBytes([db, h, new Uint8Array([0xbc])]),
+    encoded.length - emLength);
+  return encoded;
+}
+
+// EMSA-PSS-VERIFY (RFC 8017 section 9.1.2)
+async function _verifyPss({encoded, digest, hash, saltLength, modulusLength}) {
+  const hashLength = digest.length;
+  const emBits = modulusLength - 1;
+  const emLength = Math.ceil(emBits / 8);
+  const leading = encoded.subarray(0, encoded.length - emLength);
+  const em = encoded.subarray(encoded.length - emLength);
+  if(leading.some(b => b !== 0) || em[em.length - 1] !== 0xbc ||
+    emLength < hashLength + saltLength + 2) {
+    return false;
+  }
+  const maskedDb = em.subarray(0, emLength - hashLength - 1);
+  const h = em.subarray(maskedDb.length, emLength - 1);
+  const topBits = 8 * emLength - emBits;
+  if(topBits > 0 && (maskedDb[0] >> (8 - topBits)) !== 0) {
+    return false;
+  }
+  const dbMask = await _mgf1({hash, seed: h, length: maskedDb.length});
+  const db = maskedDb.map((b, i) => b ^ dbMask[i]);
+  db[0] &= 0xff >> topBits;
+  const separator = db.length - saltLength - 1;
+  if(db.subarray(0, separator).some(b => b !== 0) || db[separator] !== 0x01) {
+    return false;
+  }
+  const salt = db.subarray(separator + 1);
+  const expected = await _hash(
+    {hash, data: concatBytes([new Uint8Array(8), digest, salt])});
+  return equalBytes(h, expected);
+}
+
+// MGF1 (RFC 8017 appendix B.2.1)
+async function _mgf1({hash, seed, length}) {
+  const chunks = [];
+  let total = 0;
+  for(let counter = 0; total < length; ++counter) {
+    const c = new Uint8Array(4);
+    new DataView(c.buffer).setUint32(0, counter);
+    const chunk = await _hash({hash, data: concatBytes([seed, c])});
+    chunks.push(chunk);
+    total += chunk.length;
+  }
+  return concatBytes(chunks).subarray(0, length);
+}
+
+async function _hash({hash, data}) {
+  return new Uint8Array(await webcrypto.subtle.digest(hash, data));
+}
+
+function _assertDigest({digest, hash}) {
+  if(!(digest instanceof Uint8Array)) {
+    throw new InvalidArgumentError('"digest" must be a Uint8Array.');
+  }
+  const expectedLength = parseInt(hash.slice(4), 10) / 8;
+  if(digest.length !== expectedLength) {
+    throw new InvalidArgumentError(
+      `"digest" must be a ${hash} digest of ${expectedLength} bytes.`);
+  }
+}
+
+function _getDigestInfo({digest, hash, modulusLength}) {
+  const digestInfo = concatBytes(
+    [hexToBytes(DIGEST_INFO_PREFIXES[hash]), digest]);
+  if(Math.ceil(modulusLength / 8) < digestInfo.length + 11) {
+    throw new InvalidKeyError('RSA modulus is too short for the algorithm.');
+  }
+  return digestInfo;
+}
@@ -0,0 +1,128 @@
+/*!
+ * Copyright (c) 2024 European EPC Competence Center GmbH. All rights reserved.
+ */
+
+// Byte encodings without Node's `Buffer`, so that the library runs in
+// browsers, Deno and Bun as well.
+
+import {KeyFormatError} from './errors.js';
+
+const BASE64_ALPHABET =
+  'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const BASE64URL_ALPHABET =
+  'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+/**
+ * Encodes bytes as unpadded base64url (RFC 4648 section 5).
+ *
+ * @param {Uint8Array|ArrayBuffer} bytes - The bytes.
+ *
+ * @returns {string} The base64url string.
+ */
+export function base64urlEncode(bytes) {
+  return _encode(new Uint8Array(bytes), BASE64URL_ALPHABET);
+}
+
+/**
+ * Decodes a base64url string, with or without padding.
+ *
+ * @param {string} string - The base64url string.
+ *
+ * @returns {Uint8Array} The bytes.
+ */
+export function base64urlDecode(string) {
+  return _decode(string, BASE64URL_ALPHABET);
+}
+
+/**
+ * Encodes bytes as padded standard base64, e.g. for PEM and `x5c`.
+ *
+ * @param {Uint8Array|ArrayBuffer} bytes - The bytes.
+ *
+ * @returns {string} The base64 string.
+ */
+export function base64Encode(bytes) {
+  const encoded = _encode(new Uint8Array(bytes), BASE64_ALPHABET);
+  return encoded.padEnd(Math.ceil(encoded.length / 4) * 4, '=');
+}
+
+/**
+ * Decodes a standard base64 string, with or without padding.
+ *
+ * @param {string} string - The base64 string.
+ *
+ * @returns {Uint8Array} The bytes.
+ */
+export function base64Decode(string) {
+  return _decode(string, BASE64_ALPHABET);
+}
+
+/**
+ * Encodes bytes as lowercase hex.
+ *
+ * @param {Uint8Array} bytes - The bytes.
+ *
+ * @returns {string} The hex string.
+ */
+export function bytesToHex(bytes) {
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Decodes a hex string.
+ *
+ * @param {string} hex - The hex string.
+ *
+ * @returns {Uint8Array} The bytes.
+ */
+export function hexToBytes(hex) {
+  if(hex.length % 2 !== 0 || !/^[0-9a-fA-F]*$/.test(hex)) {
+    throw new KeyFormatError('Invalid hex encoding.');
+  }
+  const bytes = new Uint8Array(hex.length / 2);
+  for(let i = 0; i < bytes.length; ++i) {
+    bytes[i] = parseInt(hex.slice(i * 2, i * 2 + 2), 16);
+  }
+  return bytes;
+}
+
+function _encode(bytes, alphabet) {
+  let result = '';
+  for(let i = 0; i < bytes.length; i += 3) {
+    const n = (bytes[i] << 16) | ((bytes[i + 1] ?? 0) << 8) |
+      (bytes[i + 2] ?? 0);
+    const chars = Math.min(bytes.length - i, 3) + 1;
+    for(let j = 0; j < chars; ++j) {
+      result += alphabet[(n >> (18 - 6 * j)) & 0x3f];
+    }
+  }
+  return result;
+}
+
+function _decode(string, alphabet) {
+  if(typeof string !== 'string') {
+    throw new KeyFormatError('Encoded value must be a string.');
+  }
+  const trimmed = string.replace(/=+$/, '');
+  if(trimmed.length % 4 === 1) {
+    throw new KeyFormatError('Invalid base64 encoding.');
+  }
+  const bytes = new Uint8Array(Math.floor(trimmed.length * 3 / 4));
+  let buffer = 0;
+  let bits = 0;
+  let offset = 0;
+  for(const char of trimmed) {
+    const value = alphabet.indexOf(char);
+    if(value === -1) {
+      throw new KeyFormatError('Invalid base64 encoding.');
+    }
+    // keep only the bits that are not written yet
+    buffer = ((buffer << 6) | value) & 0xffff;
+    bits += 6;
+    if(bits >= 8) {
+      bits -= 8;
+      bytes[offset++] = (buffer >> bits) & 0xff;
+    }
+  }
+  return bytes;
+}
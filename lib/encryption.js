@@ -0,0 +1,323 @@
+/*!
+ * Copyright (c) 2024 European EPC Competence Center GmbH. All rights reserved.
+ */
+
+import {
+  concatBytes,
+  decodeInteger,
+  encodeInteger,
+  encodeTlv,
+  equalBytes,
+  readChildren,
+  TAG_NULL,
+  TAG_OCTET_STRING,
+  TAG_OID,
+  TAG_SEQUENCE
+} from './asn1.js';
+import {webcrypto} from './crypto.js';
+import {
+  DecryptionError,
+  InvalidArgumentError,
+  KeyFormatError,
+  UnsupportedAlgorithmError
+} from './errors.js';
+import {base64urlDecode, base64urlEncode} from './encoding.js';
+
+// PBKDF2 iteration count used when encrypting, following the OWASP
+// recommendation for PBKDF2-HMAC-SHA256
+export const DEFAULT_PBKDF2_ITERATIONS = 600000;
+// upper bound accepted when decrypting, so untrusted input cannot make
+// key derivation arbitrarily expensive
+const MAX_PBKDF2_ITERATIONS = 10000000;
+
+const JWE_ALGORITHM = 'PBES2-HS256+A128KW';
+const JWE_ENCRYPTION = 'A256GCM';
+
+const OID_PBES2 = _oid([0x2a, 0x86, 0x48, 0x86, 0xf7, 0x0d, 0x01, 0x05, 0x0d]);
+const OID_PBKDF2 = _oid([0x2a, 0x86, 0x48, 0x86, 0xf7, 0x0d, 0x01, 0x05, 0x0c]);
+// PBKDF2 pseudo-random functions; HMAC-SHA1 is the PKCS#5 default
+const PBKDF2_PRFS = [
+  {hash: 'SHA-1', oid: _oid([0x2a, 0x86, 0x48, 0x86, 0xf7, 0x0d, 0x02, 0x07])},
+  {hash: 'SHA-256', oid: _oid([0x2a, 0x86, 0x48, 0x86, 0xf7, 0x0d, 0x02, 0x09])},
+  {hash: 'SHA-384', oid: _oid([0x2a, 0x86, 0x48, 0x86, 0xf7, 0x0d, 0x02, 0x0a])},
+  {hash: 'SHA-512', oid: _oid([0x2a, 0x86, 0x48, 0x86, 0xf7, 0x0d, 0x02, 0x0b])}
+];
+const AES_CBC_CIPHERS = [
+  {length: 128, oid: _oid([0x60, 0x86, 0x48, 0x01, 0x65, 0x03, 0x04, 0x01, 0x02])},
+  {length: 192, oid: _oid([0x60, 0x86, 0x48, 0x01, 0x65, 0x03, 0x04, 0x01, 0x16])},
+  {length: 256, oid: _oid([0x60, 0x86, 0x48, 0x01, 0x65, 0x03, 0x04, 0x01, 0x2a])}
+];
+
+const DECRYPTION_FAILED_MESSAGE =
+  'Failed to decrypt secret key: wrong passphrase or corrupted data.';
+
+/**
+ * Encrypts a DER-encoded PKCS#8 PrivateKeyInfo as a PKCS#5 PBES2
+ * EncryptedPrivateKeyInfo using PBKDF2-HMAC-SHA256 and AES-256-CBC.
+ *
+ * @param {object} options - Options hash.
+ * @param {Uint8Array} options.pkcs8 - The PrivateKeyInfo bytes.
+ * @param {string} options.passphrase - The passphrase.
+ * @param {number} [options.iterations] - The PBKDF2 iteration count.
+ *
+ * @returns {Promise<Uint8Array>} The EncryptedPrivateKeyInfo bytes.
+ */
+export async function encryptPkcs8({
+  pkcs8, passphrase, iterations = DEFAULT_PBKDF2_ITERATIONS
+} = {}) {
+  _assertPassphrase(passphrase);
+  const salt = webcrypto.getRandomValues(new Uint8Array(16));
+  const iv = webcrypto.getRandomValues(new Uint8Array(16));
+  const prf = PBKDF2_PRFS.find(({hash}) => hash === 'SHA-256');
+  const cipher = AES_CBC_CIPHERS.find(({length}) => length === 256);
+  const key = await _deriveKey({
+    passphrase, salt, iterations, hash: prf.hash,
+    algorithm: {name: 'AES-CBC', length: cipher.length}
+  });
+  const encryptedData = new Uint8Array(await webcrypto.subtle.encrypt(
+    {name: 'AES-CBC', iv}, key, pkcs8));
+
+  const seq = (...elements) => encodeTlv(TAG_SEQUENCE, concatBytes(elements));
+  const octets = bytes => encodeTlv(TAG_OCTET_STRING, bytes);
+  return seq(
+    seq(
+      OID_PBES2,
+      seq(
+        seq(OID_PBKDF2, seq(
+          octets(salt),
+          encodeInteger(iterations),
+          seq(prf.oid, encodeTlv(TAG_NULL, new Uint8Array())))),
+        seq(cipher.oid, octets(iv)))),
+    octets(encryptedData));
+}
+
+/**
+ * Decrypts a PKCS#5 PBES2 EncryptedPrivateKeyInfo that uses PBKDF2 and
+ * AES-CBC.
+ *
+ * @param {object} options - Options hash.
+ * @param {Uint8Array} options.encryptedPkcs8 - The EncryptedPrivateKeyInfo
+ *   bytes.
+ * @param {string} options.passphrase - The passphrase.
+ *
+ * @returns {Promise<Uint8Array>} The PrivateKeyInfo bytes.
+ */
+export async function decryptPkcs8({encryptedPkcs8, passphrase} = {}) {
+  _assertPassphrase(passphrase);
+  const bytes = encryptedPkcs8;
+  const [algorithm, encryptedData] = readChildren(bytes);
+  const [pbes2Oid, pbes2Params] = _children(bytes, algorithm);
+  if(!_isOid(bytes, pbes2Oid, OID_PBES2)) {
+    throw new UnsupportedAlgorithmError(
+      'Unsupported encrypted private key; only PBES2 is supported.');
+  }
+  const [kdf, scheme] = _children(bytes, pbes2Params);
+  const [kdfOid, kdfParams] = _children(bytes, kdf);
+  if(!_isOid(bytes, kdfOid, OID_PBKDF2)) {
+    throw new UnsupportedAlgorithmError(
+      'Unsupported encrypted private key; only PBKDF2 is supported.');
+  }
+  const [saltElement, iterationsElement, ...optional] =
+    _children(bytes, kdfParams);
+  if(saltElement?.tag !== TAG_OCTET_STRING) {
+    throw new KeyFormatError('Invalid PBKDF2 parameters.');
+  }
+  const salt = bytes.slice(saltElement.start, saltElement.end);
+  const iterations = decodeInteger(bytes, iterationsElement);
+  _assertIterations(iterations);
+  // the optional keyLength INTEGER precedes the optional prf
+  const prfElement = optional.find(({tag}) => tag === TAG_SEQUENCE);
+  let prf = PBKDF2_PRFS[0];
+  if(prfElement) {
+    const [prfOid] = _children(bytes, prfElement);
+    prf = PBKDF2_PRFS.find(({oid}) => _isOid(bytes, prfOid, oid));
+    if(!prf) {
+      throw new UnsupportedAlgorithmError(
+        'Unsupported PBKDF2 pseudo-random function.');
+    }
+  }
+
+  const [cipherOid, ivElement] = _children(bytes, scheme);
+  const cipher = AES_CBC_CIPHERS.find(({oid}) => _isOid(bytes, cipherOid, oid));
+  if(!cipher || ivElement?.tag !== TAG_OCTET_STRING ||
+    encryptedData?.tag !== TAG_OCTET_STRING) {
+    throw new UnsupportedAlgorithmError(
+      'Unsupported encrypted private key; only AES-CBC is supported.');
+  }
+  const iv = bytes.slice(ivElement.start, ivElement.end);
+
+  const key = await _deriveKey({
+    passphrase, salt, iterations, hash: prf.hash,
+    algorithm: {name: 'AES-CBC', length: cipher.length}
+  });
+  let pkcs8;
+  try {
+    pkcs8 = new Uint8Array(await webcrypto.subtle.decrypt(
+      {name: 'AES-CBC', iv}, key,
+      bytes.subarray(encryptedData.start, encryptedData.end)));
+    // a wrong key may still yield valid padding, so check the structure too
+    readChildren(pkcs8);
+  } catch(e) {
+    throw new DecryptionError(DECRYPTION_FAILED_MESSAGE);
+  }
+  return pkcs8;
+}
+
+/**
+ * Encrypts a JWK as a compact JWE using PBES2-HS256+A128KW key wrapping and
+ * A256GCM content encryption (RFC 7518).
+ *
+ * @param {object} options - Options hash.
+ * @param {object} options.jwk - The JWK.
+ * @param {string} options.passphrase - The passphrase.
+ * @param {number} [options.iterations] - The PBKDF2 iteration count.
+ *
+ * @returns {Promise<string>} The compact JWE.
+ */
+export async function encryptJwk({
+  jwk, passphrase, iterations = DEFAULT_PBKDF2_ITERATIONS
+} = {}) {
+  _assertPassphrase(passphrase);
+  const saltInput = webcrypto.getRandomValues(new Uint8Array(16));
+  const header = {
+    alg: JWE_ALGORITHM,
+    enc: JWE_ENCRYPTION,
+    cty: 'jwk+json',
+    p2s: base64urlEncode(saltInput),
+    p2c: iterations
+  };
+  const protectedHeader = base64urlEncode(
+    new TextEncoder().encode(JSON.stringify(header)));
+  const wrappingKey = await _deriveJweKey({passphrase, saltInput, iterations});
+  const cek = await webcrypto.subtle.generateKey(
+    {name: 'AES-GCM', length: 256}, true, ['encrypt']);
+  const encryptedKey = new Uint8Array(await webcrypto.subtle.wrapKey(
+    'raw', cek, wrappingKey, 'AES-KW'));
+  const iv = webcrypto.getRandomValues(new Uint8Array(12));
+  const encrypted = new Uint8Array(await webcrypto.subtle.encrypt({
+    name: 'AES-GCM',
+    iv,
+    additionalData: new TextEncoder().encode(protectedHeader)
+  }, cek, new TextEncoder().encode(JSON.stringify(jwk))));
+  // WebCrypto appends the 16-byte authentication tag to the ciphertext
+  const ciphertext = encrypted.subarray(0, encrypted.length - 16);
+  const tag = encrypted.subarray(encrypted.length - 16);
+  return [
+    protectedHeader,
+    base64urlEncode(encryptedKey),
+    base64urlEncode(iv),
+    base64urlEncode(ciphertext),
+    base64urlEncode(tag)
+  ].join('.');
+}
+
+/**
+ * Decrypts a compact JWE created by `encryptJwk`.
+ *
+ * @param {object} options - Options hash.
+ * @param {string} options.jwe - The compact JWE.
+ * @param {string} options.passphrase - The passphrase.
+ *
+ * @returns {Promise<object>} The JWK.
+ */
+export async function decryptJwk({jwe, passphrase} = {}) {
+  _assertPassphrase(passphrase);
+  if(typeof jwe !== 'string' || jwe.split('.').length !== 5) {
+    throw new KeyFormatError('"jwe" must be a compact JWE.');
+  }
+  const [protectedHeader, encryptedKey, iv, ciphertext, tag] = jwe.split('.');
+  let header;
+  try {
+    header = JSON.parse(
+      new TextDecoder().decode(base64urlDecode(protectedHeader)));
+  } catch(e) {
+    throw new KeyFormatError('Invalid JWE protected header.');
+  }
+  if(header?.alg !== JWE_ALGORITHM || header.enc !== JWE_ENCRYPTION) {
+    throw new UnsupportedAlgorithmError(
+      `Unsupported JWE; "alg" must be "${JWE_ALGORITHM}" and "enc" must be ` +
+      `"${JWE_ENCRYPTION}".`);
+  }
+  if(typeof header.p2s !== 'string') {
+    throw new KeyFormatError('Invalid JWE "p2s" header.');
+  }
+  _assertIterations(header.p2c);
+  const wrappingKey = await _deriveJweKey({
+    passphrase,
+    saltInput: base64urlDecode(header.p2s),
+    iterations: header.p2c
+  });
+  let jwk;
+  try {
+    const cek = await webcrypto.subtle.unwrapKey(
+      'raw', base64urlDecode(encryptedKey), wrappingKey, 'AES-KW',
+      'AES-GCM', false, ['decrypt']);
+    const plaintext = await webcrypto.subtle.decrypt({
+      name: 'AES-GCM',
+      iv: base64urlDecode(iv),
+      additionalData: new TextEncoder().encode(protectedHeader)
+    }, cek, concatBytes([base64urlDecode(ciphertext), base64urlDecode(tag)]));
+    jwk = JSON.parse(new TextDecoder().decode(plaintext));
+  } catch(e) {
+    throw new DecryptionError(DECRYPTION_FAILED_MESSAGE);
+  }
+  return jwk;
+}
+
+async function _deriveJweKey({passphrase, saltInput, iterations}) {
+  // RFC 7518 4.8.1.1: the salt is the "alg" value, a zero byte and "p2s"
+  const salt = concatBytes([
+    new TextEncoder().encode(JWE_ALGORITHM), new Uint8Array([0]), saltInput
+  ]);
+  return _deriveKey({
+    passphrase, salt, iterations, hash: 'SHA-256',
+    algorithm: {name: 'AES-KW', length: 128}
+  });
+}
+
+async function _deriveKey({passphrase, salt, iterations, hash, algorithm}) {
+  const baseKey = await webcrypto.subtle.importKey(
+    'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false,
+    ['deriveKey']);
+  const usages = algorithm.name === 'AES-KW' ?
+    ['wrapKey', 'unwrapKey'] : ['encrypt', 'decrypt'];
+  return webcrypto.subtle.deriveKey(
+    {name: 'PBKDF2', salt, iterations, hash},
+    baseKey, algorithm, false, usages);
+}
+
+function _assertPassphrase(passphrase) {
+  if(typeof passphrase !== 'string' || passphrase.length === 0) {
+    throw new InvalidArgumentError('"passphrase" must be a non-empty string.');
+  }
+}
+
+function _assertIterations(iterations) {
+  if(!Number.isInteger(iterations) || iterations < 1 ||
+    iterations > MAX_PBKDF2_ITERATIONS) {
+    throw new InvalidArgumentError(
+      `PBKDF2 iteration count must be between 1 and ${MAX_PBKDF2_ITERATIONS}.`);
+  }
+}
+
+function _children(bytes, element) {
+  if(element?.tag !== TAG_SEQUENCE) {
+    throw new KeyFormatError('Invalid encrypted private key.');
+  }
+  return readChildren(bytes.subarray(element.offset, element.end))
+    .map(child => ({
+      ...child,
+      offset: child.offset + element.offset,
+      start: child.start + element.offset,
+      end: child.end + element.offset
+    }));
+}
+
+function _isOid(bytes, element, encodedOid) {
+  return element?.tag === TAG_OID &&
+    equalBytes(bytes.subarray(element.offset, element.end), encodedOid);
+}
+
+function _oid(bytes) {
+  return encodeTlv(TAG_OID, new Uint8Array(bytes));
+}
@@ -0,0 +1,171 @@
+/*!
+ * Copyright (c) 2024 European EPC Competence Center GmbH. All rights reserved.
+ */
+
+// Every error has a stable `code`; the classes replacing a former
+// `TypeError` extend `TypeError`, so existing `instanceof` checks still work.
+
+/**
+ * Thrown when a function is called with a missing or invalid argument.
+ */
+export class InvalidArgumentError extends TypeError {
+  /**
+   * @param {string} [message] - The error message.
+   */
+  constructor(message = 'Invalid argument.') {
+    super(message);
+    this.name = 'InvalidArgumentError';
+    this.code = 'ERR_INVALID_ARGUMENT';
+  }
+}
+
+/**
+ * Thrown when a key is not a usable RSA key, e.g. because it is another key
+ * type or its parts do not match.
+ */
+export class InvalidKeyError extends TypeError {
+  /**
+   * @param {string} [message] - The error message.
+   */
+  constructor(message = 'Invalid key.') {
+    super(message);
+    this.name = 'InvalidKeyError';
+    this.code = 'ERR_INVALID_KEY';
+  }
+}
+
+/**
+ * Thrown when a key violates the key policy, e.g. because its modulus is too
+ * short. `rule` names the violated policy option.
+ */
+export class KeyPolicyError extends InvalidKeyError {
+  /**
+   * @param {string} [message] - The error message.
+   * @param {object} [options] - Options hash.
+   * @param {string} [options.rule] - The violated policy option.
+   */
+  constructor(message = 'Key violates the key policy.', {rule} = {}) {
+    super(message);
+    this.name = 'KeyPolicyError';
+    this.code = 'ERR_KEY_POLICY';
+    this.rule = rule;
+  }
+}
+
+/**
+ * Thrown when key material cannot be decoded, e.g. malformed DER, PEM,
+ * multibase or JWE data, or when an unsupported format is requested.
+ */
+export class KeyFormatError extends TypeError {
+  /**
+   * @param {string} [message] - The error message.
+   */
+  constructor(message = 'Invalid key format.') {
+    super(message);
+    this.name = 'KeyFormatError';
+    this.code = 'ERR_KEY_FORMAT';
+  }
+}
+
+/**
+ * Thrown when an algorithm, hash function or encryption scheme is not
+ * supported or does not match the key.
+ */
+export class UnsupportedAlgorithmError extends TypeError {
+  /**
+   * @param {string} [message] - The error message.
+   */
+  constructor(message = 'Unsupported algorithm.') {
+    super(message);
+    this.name = 'UnsupportedAlgorithmError';
+    this.code = 'ERR_UNSUPPORTED_ALGORITHM';
+  }
+}
+
+/**
+ * Thrown when an operation needs a secret key that is not available.
+ */
+export class MissingSecretKeyError extends Error {
+  /**
+   * @param {string} [message] - The error message.
+   */
+  constructor(message = 'Secret key is required.') {
+    super(message);
+    this.name = 'MissingSecretKeyError';
+    this.code = 'ERR_MISSING_SECRET_KEY';
+  }
+}
+
+/**
+ * Thrown when secret key material is requested from a non-extractable key.
+ */
+export class KeyNotExtractableError extends Error {
+  /**
+   * @param {string} [message] - The error message.
+   */
+  constructor(message = 'Secret key is not extractable.') {
+    super(message);
+    this.name = 'KeyNotExtractableError';
+    this.code = 'ERR_KEY_NOT_EXTRACTABLE';
+  }
+}
+
+/**
+ * Thrown when an encrypted secret key cannot be decrypted, e.g. because of a
+ * wrong passphrase.
+ */
+export class DecryptionError extends Error {
+  /**
+   * @param {string} [message] - The error message.
+   */
+  constructor(message = 'Decryption failed.') {
+    super(message);
+    this.name = 'DecryptionError';
+    this.code = 'ERR_DECRYPTION_FAILED';
+  }
+}
+
+/**
+ * Thrown when a key backend, e.g. a KMS or remote signer, fails or returns an
+ * invalid response.
+ */
+export class KeyBackendError extends Error {
+  /**
+   * @param {string} [message] - The error message.
+   */
+  constructor(message = 'Key backend failed.') {
+    super(message);
+    this.name = 'KeyBackendError';
+    this.code = 'ERR_KEY_BACKEND';
+  }
+}
+
+/**
+ * Thrown when a JWS is malformed, uses another algorithm than the key or has
+ * an invalid signature.
+ */
+export class JwsVerificationError extends Error {
+  /**
+   * @param {string} [message] - The error message.
+   */
+  constructor(message = 'JWS verification failed.') {
+    super(message);
+    this.name = 'JwsVerificationError';
+    this.code = 'ERR_JWS_VERIFICATION_FAILED';
+  }
+}
+
+/**
+ * Thrown when a proof has another purpose than expected, or its verification
+ * method's controller does not authorize the method for that purpose.
+ */
+export class ProofPurposeError extends Error {
+  /**
+   * @param {string} [message] - The error message.
+   */
+  constructor(message = 'Invalid proof purpose.') {
+    super(message);
+    this.name = 'ProofPurposeError';
+    this.code = 'ERR_PROOF_PURPOSE';
+  }
+}
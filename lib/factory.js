@@ -2,34 +2,59 @@
  * Copyright (c) 2024 European EPC Competence Center GmbH. All rights reserved.
  */
 
+import {getAlgorithmFromCryptoKey, getAlgorithmParams} from './helpers.js';
+import {assertBackend} from './backends.js';
+import {convertCryptoKey} from './serialize.js';
+import {signBatch, verifyBatch} from './batch.js';
+import {signDigest, verifyDigest} from './digest.js';
+import {ALGORITHMS, VERIFY_RESULT_CODES} from './constants.js';
 import {webcrypto} from './crypto.js';
+import {
+  InvalidArgumentError,
+  MissingSecretKeyError,
+  UnsupportedAlgorithmError
+} from './errors.js';
+
+const RSA_ALGORITHM_NAMES = [
+  ...new Set(Object.values(ALGORITHMS).map(({name}) => name))
+];
 
 /**
- * Creates a signer function for RSA-PSS signing.
+ * Creates a signer function for RSA-PSS or RSASSA-PKCS1-v1_5 signing.
  *
  * @param {object} options - Options hash.
  * @param {string} options.id - The key ID.
- * @param {CryptoKey} options.secretKey - The secret key.
+ * @param {CryptoKey} [options.secretKey] - The secret key.
+ * @param {object} [options.backend] - A key backend that signs instead of a
+ *   local `secretKey`, see `createMemoryBackend`.
+ * @param {string} [options.algorithm] - The JOSE algorithm; defaults to the
+ *   algorithm of the secret key or backend.
  *
  * @returns {Function} The signer function.
  */
-export function createSigner({id, secretKey} = {}) {
+export function createSigner({id, secretKey, backend, algorithm} = {}) {
   if(!id || typeof id !== 'string') {
-    throw new TypeError('"id" must be a non-empty string.');
+    throw new InvalidArgumentError('"id" must be a non-empty string.');
+  }
+  if(backend) {
+    return _createBackendSigner({id, backend, algorithm});
   }
   if(!secretKey) {
-    throw new TypeError('"secretKey" is required.');
+    throw new MissingSecretKeyError('"secretKey" is required.');
+  }
+
+  if(!algorithm) {
+    algorithm = getAlgorithmFromCryptoKey({key: secretKey});
   }
+  const signParams = _getSignParams({algorithm});
+  let key;
 
-  // Get modulus length from secret key algorithm
-  const modulusLength = secretKey.algorithm?.modulusLength || 4096;
-  
-  return {
-    algorithm: 'PS256', // RSA-PSS with SHA-256
+  const signer = {
+    algorithm,
     id,
     async sign({data} = {}) {
       if(!data) {
-        throw new TypeError('"data" is required.');
+        throw new InvalidArgumentError('"data" is required.');
       }
       // Handle both string (JWT) and Uint8Array (Data Integrity) signing
       let dataToSign;
@@ -41,88 +66,189 @@ export function createSigner({id, secretKey} = {}) {
         // For Data Integrity, sign the raw bytes
         dataToSign = data;
       } else {
-        throw new TypeError('"data" must be a string or Uint8Array.');
+        throw new InvalidArgumentError(
+          '"data" must be a string or Uint8Array.');
       }
 
-      // Sign using RSA-PSS with SHA-256
+      if(!key) {
+        key = await convertCryptoKey({key: secretKey, algorithm});
+      }
       const signature = await webcrypto.subtle.sign(
-        {
-          name: 'RSA-PSS',
-          saltLength: 32, // SHA-256 hash length
-        },
-        secretKey,
-        dataToSign
-      );
+        signParams, key, dataToSign);
 
       return new Uint8Array(signature);
+    },
+    // signs a digest made with the algorithm's hash, e.g. by `hashStream`
+    async signDigest({digest} = {}) {
+      return signDigest({secretKey, algorithm, digest});
+    },
+    async signBatch(items, {concurrency, signal} = {}) {
+      return signBatch({signer, items, concurrency, signal});
     }
   };
+  return signer;
 }
 
 /**
- * Creates a verifier function for RSA-PSS verification.
+ * Creates a verifier function for RSA-PSS or RSASSA-PKCS1-v1_5 verification.
  *
  * @param {object} options - Options hash.
  * @param {string} options.id - The key ID.
  * @param {CryptoKey} options.publicKey - The public key.
+ * @param {string} [options.algorithm] - The JOSE algorithm; defaults to the
+ *   algorithm of the public key. Like the signer, the verifier converts an
+ *   extractable key to another algorithm, e.g. to verify RS256 signatures
+ *   with a PS256 key; a key it cannot convert fails verification with
+ *   `VERIFY_RESULT_CODES.ALGORITHM`.
+ *
+ * `verify({data, signature})` resolves to a boolean; with `detailed: true`,
+ * or via `verifyDetailed`, it resolves to `{verified, code, reason}` where
+ * `code` is one of `VERIFY_RESULT_CODES`.
  *
  * @returns {Function} The verifier function.
  */
-export function createVerifier({id, publicKey} = {}) {
+export function createVerifier({id, publicKey, algorithm} = {}) {
   if(!id || typeof id !== 'string') {
-    throw new TypeError('"id" must be a non-empty string.');
+    throw new InvalidArgumentError('"id" must be a non-empty string.');
   }
   if(!publicKey) {
-    throw new TypeError('"publicKey" is required.');
+    throw new InvalidArgumentError('"publicKey" is required.');
   }
 
-  // Get modulus length from public key algorithm
-  const modulusLength = publicKey.algorithm?.modulusLength || 4096;
-  
-  return {
-    algorithm: 'PS256', // RSA-PSS with SHA-256
-    id,
-    async verify({data, signature} = {}) {
-      if(!data) {
-        throw new TypeError('"data" is required.');
+  if(!algorithm) {
+    algorithm = getAlgorithmFromCryptoKey({key: publicKey});
+  }
+  const verifyParams = _getSignParams({algorithm});
+  let key;
+
+  // checks the inputs, then classifies why verification failed
+  const verifyDetailed = async ({data, signature} = {}) => {
+    if(!data) {
+      throw new InvalidArgumentError('"data" is required.');
+    }
+    if(!signature) {
+      throw new InvalidArgumentError('"signature" is required.');
+    }
+
+    let dataToVerify;
+    if(typeof data === 'string') {
+      // For JWT, data is the signing input (header.payload)
+      // Verify the string directly as UTF-8 bytes
+      dataToVerify = new TextEncoder().encode(data);
+    } else if(data instanceof Uint8Array) {
+      // For Data Integrity, verify the raw bytes
+      dataToVerify = data;
+    } else {
+      throw new InvalidArgumentError('"data" must be a string or Uint8Array.');
+    }
+
+    if(!(signature instanceof Uint8Array)) {
+      throw new InvalidArgumentError('"signature" must be a Uint8Array.');
+    }
+
+    if(publicKey.type !== 'public' || !publicKey.usages?.includes('verify') ||
+      !RSA_ALGORITHM_NAMES.includes(publicKey.algorithm?.name)) {
+      return _failure({
+        code: VERIFY_RESULT_CODES.KEY_TYPE,
+        reason: 'Key is not an RSA public key that can verify.'
+      });
+    }
+    const {modulusLength} = publicKey.algorithm;
+    if(modulusLength && signature.length !== modulusLength / 8) {
+      return _failure({
+        code: VERIFY_RESULT_CODES.SIGNATURE_LENGTH,
+        reason: `Signature must be ${modulusLength / 8} bytes, ` +
+          `not ${signature.length}.`
+      });
+    }
+    try {
+      if(!key) {
+        key = await convertCryptoKey({key: publicKey, algorithm});
       }
-      if(!signature) {
-        throw new TypeError('"signature" is required.');
+    } catch(e) {
+      return _failure({
+        code: VERIFY_RESULT_CODES.ALGORITHM,
+        reason: `Key cannot verify algorithm "${algorithm}": ${e.message}`
+      });
+    }
+    try {
+      const verified = await webcrypto.subtle.verify(
+        verifyParams, key, signature, dataToVerify);
+      if(!verified) {
+        return _failure({
+          code: VERIFY_RESULT_CODES.SIGNATURE_MISMATCH,
+          reason: 'Signature does not match the data and key.'
+        });
       }
+      return {verified: true};
+    } catch(e) {
+      return _failure({code: VERIFY_RESULT_CODES.ERROR, reason: e.message});
+    }
+  };
 
-      let dataToVerify;
-      if(typeof data === 'string') {
-        // For JWT, data is the signing input (header.payload)
-        // Verify the string directly as UTF-8 bytes
-        dataToVerify = new TextEncoder().encode(data);
-      } else if(data instanceof Uint8Array) {
-        // For Data Integrity, verify the raw bytes
-        dataToVerify = data;
-      } else {
-        throw new TypeError('"data" must be a string or Uint8Array.');
-      }
+  const verifier = {
+    algorithm,
+    id,
+    async verify({data, signature, detailed = false} = {}) {
+      const result = await verifyDetailed({data, signature});
+      return detailed ? result : result.verified;
+    },
+    verifyDetailed,
+    async verifyDigest({digest, signature} = {}) {
+      return verifyDigest({publicKey, algorithm, digest, signature});
+    },
+    async verifyBatch(items, {concurrency, signal} = {}) {
+      return verifyBatch({verifier, items, concurrency, signal});
+    }
+  };
+  return verifier;
+}
 
-      if(!(signature instanceof Uint8Array)) {
-        throw new TypeError('"signature" must be a Uint8Array.');
-      }
+// the backend signs digests, so messages are hashed locally
+function _createBackendSigner({id, backend, algorithm}) {
+  assertBackend(backend);
+  const {metadata} = backend;
+  if(!algorithm) {
+    algorithm = metadata.algorithm;
+  }
+  if(algorithm !== metadata.algorithm) {
+    throw new UnsupportedAlgorithmError(
+      `Key backend signs with "${metadata.algorithm}", not "${algorithm}".`);
+  }
+  const {hash} = getAlgorithmParams({algorithm});
 
-      try {
-        // Verify using RSA-PSS with SHA-256
-        const isValid = await webcrypto.subtle.verify(
-          {
-            name: 'RSA-PSS',
-            saltLength: 32, // SHA-256 hash length
-          },
-          publicKey,
-          signature,
-          dataToVerify
-        );
-        return isValid;
-      } catch(e) {
-        // Verification failed
-        return false;
+  const signer = {
+    algorithm,
+    id,
+    async sign({data} = {}) {
+      if(!data) {
+        throw new InvalidArgumentError('"data" is required.');
       }
+      if(typeof data === 'string') {
+        data = new TextEncoder().encode(data);
+      } else if(!(data instanceof Uint8Array)) {
+        throw new InvalidArgumentError(
+          '"data" must be a string or Uint8Array.');
+      }
+      const digest = await webcrypto.subtle.digest(hash, data);
+      return signer.signDigest({digest: new Uint8Array(digest)});
+    },
+    async signDigest({digest} = {}) {
+      return new Uint8Array(await backend.sign({digest}));
+    },
+    async signBatch(items, {concurrency, signal} = {}) {
+      return signBatch({signer, items, concurrency, signal});
     }
   };
+  return signer;
 }
 
+function _getSignParams({algorithm}) {
+  const {name, saltLength} = getAlgorithmParams({algorithm});
+  // RSASSA-PKCS1-v1_5 takes no parameters besides its name
+  return saltLength === undefined ? {name} : {name, saltLength};
+}
+
+function _failure({code, reason}) {
+  return {verified: false, code, reason};
+}
@@ -1,6 +1,16 @@
 /*!
  * Copyright (c) 2024 European EPC Competence Center GmbH. All rights reserved.
  */
+import {ALGORITHMS} from './constants.js';
+import {webcrypto} from './crypto.js';
+import {
+  InvalidArgumentError,
+  InvalidKeyError,
+  UnsupportedAlgorithmError
+} from './errors.js';
+import {base64urlDecode, base64urlEncode} from './encoding.js';
+
+const JWK_THUMBPRINT_URI_PREFIX = 'urn:ietf:params:oauth:jwk-thumbprint:';
 
 /**
  * Gets the size of an RSA secret key in bytes based on modulus length.
@@ -13,7 +23,7 @@
  */
 export function getSecretKeySize({modulusLength}) {
   if(typeof modulusLength !== 'number') {
-    throw new TypeError('"modulusLength" must be a number.');
+    throw new InvalidArgumentError('"modulusLength" must be a number.');
   }
   // RSA secret key size is the modulus length in bytes
   return modulusLength / 8;
@@ -28,11 +38,91 @@ export function getSecretKeySize({modulusLength}) {
  */
 export function getModulusLengthFromJwk(jwk) {
   if(!jwk || !jwk.n) {
-    throw new TypeError('"jwk" must have an "n" property.');
+    throw new InvalidKeyError('"jwk" must have an "n" property.');
   }
   // The modulus n is base64url encoded, so we need to decode it
   // to get the byte length, then multiply by 8 to get bits
-  const nBytes = Buffer.from(jwk.n, 'base64url').length;
+  const nBytes = base64urlDecode(jwk.n).length;
   return nBytes * 8;
 }
 
+/**
+ * Gets the WebCrypto parameters for a JOSE algorithm.
+ *
+ * @param {object} options - Options hash.
+ * @param {string} options.algorithm - The JOSE algorithm name, e.g. "PS256".
+ *
+ * @returns {object} The `name`, `hash` and (for RSA-PSS) `saltLength`.
+ */
+export function getAlgorithmParams({algorithm}) {
+  if(!Object.hasOwn(ALGORITHMS, algorithm)) {
+    throw new UnsupportedAlgorithmError(
+      `Unsupported algorithm "${algorithm}"; must be one of: ` +
+      `${Object.keys(ALGORITHMS).join(', ')}.`);
+  }
+  return ALGORITHMS[algorithm];
+}
+
+/**
+ * Gets the JOSE algorithm name of a CryptoKey.
+ *
+ * @param {object} options - Options hash.
+ * @param {CryptoKey} options.key - The CryptoKey.
+ *
+ * @returns {string} The JOSE algorithm name, e.g. "PS256".
+ */
+export function getAlgorithmFromCryptoKey({key}) {
+  const {name, hash} = key.algorithm;
+  return getAlgorithm({name, hash: hash?.name});
+}
+
+/**
+ * Gets the JOSE algorithm name for a WebCrypto algorithm and hash.
+ *
+ * @param {object} options - Options hash.
+ * @param {string} options.name - The WebCrypto algorithm name, e.g. "RSA-PSS".
+ * @param {string} options.hash - The hash name, e.g. "SHA-384".
+ *
+ * @returns {string} The JOSE algorithm name, e.g. "PS384".
+ */
+export function getAlgorithm({name, hash}) {
+  const algorithm = Object.keys(ALGORITHMS).find(alg =>
+    ALGORITHMS[alg].name === name && ALGORITHMS[alg].hash === hash);
+  if(!algorithm) {
+    throw new UnsupportedAlgorithmError(
+      `Unsupported key algorithm "${name}" with hash "${hash}".`);
+  }
+  return algorithm;
+}
+
+/**
+ * Computes the RFC 7638 SHA-256 thumbprint of an RSA JWK.
+ *
+ * @param {object} options - Options hash.
+ * @param {object} options.jwk - The RSA JWK.
+ *
+ * @returns {Promise<string>} The base64url-encoded thumbprint.
+ */
+export async function getJwkThumbprint({jwk} = {}) {
+  if(!jwk || typeof jwk.n !== 'string' || typeof jwk.e !== 'string') {
+    throw new InvalidKeyError('"jwk" must be an RSA JWK with "n" and "e".');
+  }
+  // required members only, in lexicographic order, without whitespace
+  const {e, kty, n} = jwk;
+  const json = JSON.stringify({e, kty, n});
+  const digest = await webcrypto.subtle.digest(
+    'SHA-256', new TextEncoder().encode(json));
+  return base64urlEncode(digest);
+}
+
+/**
+ * Gets the RFC 9278 URI of a SHA-256 JWK thumbprint.
+ *
+ * @param {object} options - Options hash.
+ * @param {string} options.thumbprint - The base64url-encoded thumbprint.
+ *
+ * @returns {string} The `urn:ietf:params:oauth:jwk-thumbprint` URI.
+ */
+export function getJwkThumbprintUri({thumbprint} = {}) {
+  return `${JWK_THUMBPRINT_URI_PREFIX}sha-256:${thumbprint}`;
+}
@@ -0,0 +1,347 @@
+/*!
+ * Copyright (c) 2024 European EPC Competence Center GmbH. All rights reserved.
+ */
+
+import {concatBytes} from './asn1.js';
+import {
+  InvalidArgumentError,
+  JwsVerificationError,
+  UnsupportedAlgorithmError
+} from './errors.js';
+import {base64urlDecode, base64urlEncode} from './encoding.js';
+
+// "crit" header parameters this implementation understands (RFC 7797)
+const SUPPORTED_CRIT = ['b64'];
+
+/**
+ * Creates a compact JWS (RFC 7515). An unencoded payload (RFC 7797) is used
+ * if `protectedHeader.b64` is false; "b64" is then added to `crit`.
+ *
+ * @param {object} options - Options hash.
+ * @param {object} options.signer - The signer, see `createSigner`.
+ * @param {Uint8Array|string|object} options.payload - The payload; objects
+ *   are serialized as JSON.
+ * @param {object} [options.protectedHeader={}] - Additional protected header
+ *   parameters; `alg` and `kid` default to the signer's.
+ * @param {boolean} [options.detached=false] - Whether to leave the payload
+ *   out of the JWS, as in `header..signature`.
+ *
+ * @returns {Promise<string>} The compact JWS.
+ */
+export async function signJws({
+  signer, payload, protectedHeader = {}, detached = false
+} = {}) {
+  const payloadBytes = _toBytes(payload);
+  const {encodedHeader, b64} = _createProtectedHeader(
+    {signer, protectedHeader});
+  if(!b64 && !detached && payloadBytes.includes(0x2e)) {
+    throw new InvalidArgumentError(
+      'An unencoded "payload" containing "." must be detached.');
+  }
+  const signature = await signer.sign({
+    data: _getSigningInput({encodedHeader, payloadBytes, b64})
+  });
+  const encodedPayload = detached ? '' : _encodePayload({payloadBytes, b64});
+  return `${encodedHeader}.${encodedPayload}.${_encode(signature)}`;
+}
+
+/**
+ * Verifies a compact JWS (RFC 7515), including detached and unencoded
+ * (RFC 7797) payloads.
+ *
+ * @param {object} options - Options hash.
+ * @param {object} options.verifier - The verifier, see `createVerifier`.
+ * @param {string} options.jws - The compact JWS.
+ * @param {Uint8Array|string|object} [options.payload] - The payload of a
+ *   detached JWS.
+ *
+ * @returns {Promise<object>} The `protectedHeader` and `payload` bytes.
+ *
+ * @throws {JwsVerificationError} If the JWS is malformed, its `alg` does not
+ *   match the verifier's algorithm or its signature is invalid.
+ */
+export async function verifyJws({verifier, jws, payload} = {}) {
+  if(typeof jws !== 'string') {
+    throw new InvalidArgumentError('"jws" must be a string.');
+  }
+  const parts = jws.split('.');
+  if(parts.length !== 3) {
+    throw new JwsVerificationError('JWS must be in compact serialization.');
+  }
+  const [encodedHeader, encodedPayload, encodedSignature] = parts;
+  return _verifySignature({
+    verifier,
+    encodedHeader,
+    encodedPayload,
+    encodedSignature,
+    payload
+  });
+}
+
+/**
+ * Creates a JWS in general JSON serialization (RFC 7515 section 7.2.1) with
+ * one signature per signer.
+ *
+ * @param {object} options - Options hash.
+ * @param {Array<object>} options.signers - The `signer`, optional
+ *   `protectedHeader` and optional unprotected `header` of each signature.
+ * @param {Uint8Array|string|object} options.payload - The payload; objects
+ *   are serialized as JSON.
+ * @param {boolean} [options.detached=false] - Whether to leave the payload
+ *   out of the JWS.
+ *
+ * @returns {Promise<object>} The JWS.
+ */
+export async function signJwsJson({signers, payload, detached = false} = {}) {
+  if(!Array.isArray(signers) || signers.length === 0) {
+    throw new InvalidArgumentError('"signers" must be a non-empty array.');
+  }
+  const payloadBytes = _toBytes(payload);
+  const protectedHeaders = signers.map(({signer, protectedHeader = {}}) =>
+    _createProtectedHeader({signer, protectedHeader}));
+  // RFC 7797 section 3: all signatures must use the same "b64" value
+  const {b64} = protectedHeaders[0];
+  if(protectedHeaders.some(header => header.b64 !== b64)) {
+    throw new InvalidArgumentError(
+      'All signatures must use the same "b64" value.');
+  }
+  const signatures = [];
+  for(const [i, {signer, header}] of signers.entries()) {
+    const {encodedHeader} = protectedHeaders[i];
+    const signature = await signer.sign({
+      data: _getSigningInput({encodedHeader, payloadBytes, b64})
+    });
+    signatures.push({
+      protected: encodedHeader,
+      ...(header === undefined ? {} : {header}),
+      signature: _encode(signature)
+    });
+  }
+  const jws = {};
+  if(!detached) {
+    jws.payload = _encodePayload({payloadBytes, b64});
+  }
+  jws.signatures = signatures;
+  return jws;
+}
+
+/**
+ * Verifies a JWS in general or flattened JSON serialization. Each verifier
+ * must have exactly one signature whose `kid` matches its id; signatures
+ * without a matching verifier are ignored.
+ *
+ * @param {object} options - Options hash.
+ * @param {Array<object>} options.verifiers - The verifiers, see
+ *   `createVerifier`.
+ * @param {object} options.jws - The JWS.
+ * @param {Uint8Array|string|object} [options.payload] - The payload of a
+ *   detached JWS.
+ *
+ * @returns {Promise<object>} The `payload` bytes and the `protectedHeader`
+ *   and unprotected `header` of each verified signature, in verifier order.
+ *
+ * @throws {JwsVerificationError} If the JWS is malformed or a verifier has no
+ *   valid signature.
+ */
+export async function verifyJwsJson({verifiers, jws, payload} = {}) {
+  if(!Array.isArray(verifiers) || verifiers.length === 0) {
+    throw new InvalidArgumentError('"verifiers" must be a non-empty array.');
+  }
+  if(!jws || typeof jws !== 'object') {
+    throw new InvalidArgumentError('"jws" must be an object.');
+  }
+  const signatures = jws.signatures ?? [{
+    protected: jws.protected, header: jws.header, signature: jws.signature
+  }];
+  if(!Array.isArray(signatures) || signatures.length === 0) {
+    throw new JwsVerificationError('JWS must have signatures.');
+  }
+  if(payload === undefined && typeof jws.payload !== 'string') {
+    throw new JwsVerificationError('JWS payload is missing.');
+  }
+
+  const results = [];
+  let payloadBytes;
+  for(const verifier of verifiers) {
+    const matches = signatures.filter(signature =>
+      _getKid(signature) === verifier.id);
+    if(matches.length !== 1) {
+      throw new JwsVerificationError(
+        `JWS must have exactly one signature for key "${verifier.id}".`);
+    }
+    const [{protected: encodedHeader, header, signature}] = matches;
+    if(typeof encodedHeader !== 'string' || typeof signature !== 'string') {
+      throw new JwsVerificationError(
+        'JWS signatures must have "protected" and "signature" members.');
+    }
+    const result = await _verifySignature({
+      verifier,
+      encodedHeader,
+      encodedPayload: jws.payload ?? '',
+      encodedSignature: signature,
+      payload,
+      // unencoded payloads are plain strings in the JSON serialization
+      json: true
+    });
+    payloadBytes = result.payload;
+    results.push({protectedHeader: result.protectedHeader, header});
+  }
+  return {payload: payloadBytes, signatures: results};
+}
+
+function _createProtectedHeader({signer, protectedHeader}) {
+  if(!protectedHeader || typeof protectedHeader !== 'object') {
+    throw new InvalidArgumentError('"protectedHeader" must be an object.');
+  }
+  if(protectedHeader.alg !== undefined &&
+    protectedHeader.alg !== signer.algorithm) {
+    throw new UnsupportedAlgorithmError(
+      `"protectedHeader.alg" "${protectedHeader.alg}" does not match the ` +
+      `key algorithm "${signer.algorithm}".`);
+  }
+  const {b64 = true} = protectedHeader;
+  if(typeof b64 !== 'boolean') {
+    throw new InvalidArgumentError('"protectedHeader.b64" must be a boolean.');
+  }
+  let {crit} = protectedHeader;
+  if(crit !== undefined && (!Array.isArray(crit) ||
+    !crit.every(name => SUPPORTED_CRIT.includes(name)))) {
+    throw new InvalidArgumentError(
+      `"protectedHeader.crit" may only include: ${SUPPORTED_CRIT.join(', ')}.`);
+  }
+  if(protectedHeader.b64 !== undefined && !crit?.includes('b64')) {
+    crit = [...(crit ?? []), 'b64'];
+  }
+  const header = {
+    ...protectedHeader,
+    alg: signer.algorithm,
+    kid: protectedHeader.kid ?? signer.id,
+    ...(crit === undefined ? {} : {crit})
+  };
+  return {encodedHeader: _encode(JSON.stringify(header)), b64};
+}
+
+async function _verifySignature({
+  verifier, encodedHeader, encodedPayload, encodedSignature, payload,
+  json = false
+}) {
+  const protectedHeader = _parseProtectedHeader(encodedHeader);
+  if(protectedHeader.alg !== verifier.algorithm) {
+    throw new JwsVerificationError(
+      `JWS algorithm "${protectedHeader.alg}" does not match the key ` +
+      `algorithm "${verifier.algorithm}".`);
+  }
+  const b64 = _checkCrit(protectedHeader);
+
+  let payloadBytes;
+  if(payload !== undefined) {
+    if(encodedPayload !== '') {
+      throw new JwsVerificationError(
+        'JWS with an attached payload must not be given a "payload".');
+    }
+    payloadBytes = _toBytes(payload);
+  } else if(!b64) {
+    if(!json && encodedPayload === '') {
+      throw new JwsVerificationError('Detached JWS requires a "payload".');
+    }
+    payloadBytes = new TextEncoder().encode(encodedPayload);
+  } else {
+    payloadBytes = _decode(encodedPayload);
+  }
+
+  const verified = await verifier.verify({
+    data: _getSigningInput({encodedHeader, payloadBytes, b64}),
+    signature: _decode(encodedSignature)
+  });
+  if(!verified) {
+    throw new JwsVerificationError('JWS signature is invalid.');
+  }
+  return {protectedHeader, payload: payloadBytes};
+}
+
+function _parseProtectedHeader(encodedHeader) {
+  let protectedHeader;
+  try {
+    protectedHeader = JSON.parse(
+      new TextDecoder().decode(_decode(encodedHeader)));
+  } catch(e) {
+    throw new JwsVerificationError('JWS protected header is not valid JSON.');
+  }
+  if(!protectedHeader || typeof protectedHeader !== 'object' ||
+    Array.isArray(protectedHeader)) {
+    throw new JwsVerificationError('JWS protected header must be an object.');
+  }
+  return protectedHeader;
+}
+
+// returns whether the payload is base64url-encoded (RFC 7797 "b64")
+function _checkCrit(protectedHeader) {
+  const {crit, b64} = protectedHeader;
+  if(crit !== undefined) {
+    // RFC 7515 section 4.1.11: every listed parameter must be understood
+    // and present in the header
+    if(!Array.isArray(crit) || crit.length === 0 ||
+      !crit.every(name => SUPPORTED_CRIT.includes(name) &&
+        protectedHeader[name] !== undefined)) {
+      throw new JwsVerificationError(
+        'JWS "crit" header lists unsupported or missing parameters.');
+    }
+  }
+  if(b64 === undefined) {
+    return true;
+  }
+  // RFC 7797 section 6: "b64" must be understood and listed in "crit"
+  if(typeof b64 !== 'boolean' || !crit?.includes('b64')) {
+    throw new JwsVerificationError(
+      'JWS "b64" header must be a boolean listed in "crit".');
+  }
+  return b64;
+}
+
+function _getSigningInput({encodedHeader, payloadBytes, b64}) {
+  if(b64) {
+    return `${encodedHeader}.${_encode(payloadBytes)}`;
+  }
+  // RFC 7797 section 3: the unencoded payload is signed as is
+  return concatBytes([
+    new TextEncoder().encode(`${encodedHeader}.`), payloadBytes
+  ]);
+}
+
+function _encodePayload({payloadBytes, b64}) {
+  return b64 ? _encode(payloadBytes) : new TextDecoder().decode(payloadBytes);
+}
+
+function _getKid({protected: encodedHeader, header}) {
+  try {
+    return _parseProtectedHeader(encodedHeader).kid ?? header?.kid;
+  } catch(e) {
+    return header?.kid;
+  }
+}
+
+function _toBytes(payload) {
+  if(payload instanceof Uint8Array) {
+    return payload;
+  }
+  if(typeof payload === 'string') {
+    return new TextEncoder().encode(payload);
+  }
+  if(payload && typeof payload === 'object') {
+    return new TextEncoder().encode(JSON.stringify(payload));
+  }
+  throw new InvalidArgumentError(
+    '"payload" must be a Uint8Array, string or object.');
+}
+
+function _encode(data) {
+  return base64urlEncode(
+    typeof data === 'string' ? new TextEncoder().encode(data) : data);
+}
+
+function _decode(encoded) {
+  if(typeof encoded !== 'string' || !/^[A-Za-z0-9_-]*$/.test(encoded)) {
+    throw new JwsVerificationError('JWS must be base64url-encoded.');
+  }
+  return base64urlDecode(encoded);
+}
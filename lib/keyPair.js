@@ -0,0 +1,756 @@
+/*!
+ * Copyright (c) 2024 European EPC Competence Center GmbH. All rights reserved.
+ */
+import {
+  DEFAULT_ALGORITHM,
+  EXTRACTABLE,
+  MULTIKEY_CONTEXT_V1_URL,
+  DEFAULT_MODULUS_LENGTH
+} from './constants.js';
+import {CryptoKey, webcrypto} from './crypto.js';
+import {assertBackend} from './backends.js';
+import {
+  createDidKey,
+  createDidKeyDocument,
+  getVerificationMethod,
+  parseDidKey,
+  toVerificationMethod
+} from './did.js';
+import {createSigner, createVerifier} from './factory.js';
+import {decryptJwk, encryptJwk} from './encryption.js';
+import {
+  InvalidArgumentError,
+  InvalidKeyError,
+  KeyFormatError,
+  KeyNotExtractableError,
+  MissingSecretKeyError,
+  UnsupportedAlgorithmError
+} from './errors.js';
+import {signJws, verifyJws} from './jws.js';
+import {
+  cryptoKeyfromRaw,
+  exportKeyPair,
+  importKeyPair,
+  toPublicKeyBytes,
+  toSecretKeyBytes,
+  toPublicKeyMultibaseFromJwk,
+  toSecretKeyMultibaseFromJwk
+} from './serialize.js';
+import {
+  getAlgorithm,
+  getAlgorithmFromCryptoKey,
+  getAlgorithmParams,
+  getJwkThumbprint,
+  getJwkThumbprintUri,
+  getModulusLengthFromJwk
+} from './helpers.js';
+import {keyBytesToPem, pemToKeyBytes} from './pem.js';
+import {parseKeystore, toKeystore} from './keystore.js';
+import {
+  equalBytes,
+  getRsaModulusLength,
+  spkiToRsaPublicKey
+} from './asn1.js';
+import {toMultikey} from './translators.js';
+import {validateKey} from './validate.js';
+import {
+  certificateToSpki,
+  decodeCertificateChain,
+  getX5tS256,
+  toX5c
+} from './x509.js';
+
+const ID_STRATEGIES = ['multibase', 'thumbprint'];
+
+/**
+ * Generates an RSA key pair for PS256 signing.
+ *
+ * @param {object} [options={}] - Options hash.
+ * @param {string} [options.id] - Optional key ID.
+ * @param {string} [options.controller] - Optional controller (DID).
+ * @param {number} [options.modulusLength=4096] - RSA modulus length (2048, 3072, or 4096).
+ * @param {string} [options.algorithm='PS256'] - JOSE algorithm (PS256,
+ *   PS384, PS512, RS256, RS384 or RS512).
+ * @param {string} [options.hash] - Hash function (SHA-256, SHA-384 or
+ *   SHA-512); selects the variant of the algorithm family using it.
+ * @param {boolean} [options.extractable=true] - Whether the secret key can be
+ *   exported; a non-extractable key can still sign.
+ * @param {string} [options.idStrategy='multibase'] - How to build a missing
+ *   id fragment: "multibase" uses the `publicKeyMultibase`, "thumbprint" the
+ *   much shorter RFC 7638 JWK thumbprint.
+ *
+ * @returns {Promise<object>} The generated key pair interface.
+ */
+export async function generate({
+  id,
+  controller,
+  modulusLength = DEFAULT_MODULUS_LENGTH,
+  algorithm,
+  hash,
+  extractable = EXTRACTABLE,
+  idStrategy = 'multibase'
+} = {}) {
+  if(!ID_STRATEGIES.includes(idStrategy)) {
+    throw new InvalidArgumentError(
+      `"idStrategy" must be one of: ${ID_STRATEGIES.join(', ')}.`);
+  }
+  if(modulusLength !== 2048 && modulusLength !== 3072 && modulusLength !== 4096) {
+    throw new InvalidArgumentError(
+      '"modulusLength" must be one of: 2048, 3072, or 4096.');
+  }
+  if(hash) {
+    const {name} = getAlgorithmParams({
+      algorithm: algorithm || DEFAULT_ALGORITHM
+    });
+    const hashAlgorithm = getAlgorithm({name, hash});
+    if(algorithm && algorithm !== hashAlgorithm) {
+      throw new UnsupportedAlgorithmError(
+        `"hash" "${hash}" does not match algorithm "${algorithm}".`);
+    }
+    algorithm = hashAlgorithm;
+  } else if(!algorithm) {
+    algorithm = DEFAULT_ALGORITHM;
+  }
+
+  const algorithmParams = getAlgorithmParams({algorithm});
+  const params = {
+    name: algorithmParams.name,
+    hash: algorithmParams.hash,
+    modulusLength,
+    publicExponent: new Uint8Array([1, 0, 1]) // 65537, standard RSA public exponent
+  };
+  const usage = ['sign', 'verify'];
+
+  const keyPair = await webcrypto.subtle.generateKey(
+    params, extractable, usage);
+  keyPair.secretKey = keyPair.privateKey;
+  delete keyPair.privateKey;
+
+  const keyPairInterface = await _createKeyPairInterface({
+    keyPair,
+    modulusLength
+  });
+  if(!id) {
+    const fragment = idStrategy === 'thumbprint' ?
+      await keyPairInterface.thumbprint() :
+      keyPairInterface.publicKeyMultibase;
+    if(controller) {
+      id = `${controller}#${fragment}`;
+    } else {
+      // Generate a default id if neither id nor controller is provided
+      id = `#${fragment}`;
+    }
+  }
+  keyPairInterface.id = id;
+  keyPairInterface.controller = controller;
+  keyPairInterface.modulusLength = modulusLength;
+  return keyPairInterface;
+}
+
+/**
+ * Imports an RSA key pair from JSON Multikey format.
+ *
+ * @param {object} key - The key object (Multikey format).
+ * @param {object} [options={}] - Options hash.
+ * @param {string} [options.algorithm] - JOSE algorithm to use the key with;
+ *   defaults to the `alg` of `publicKeyJwk` or "PS256".
+ * @param {string} [options.passphrase] - Passphrase to decrypt an encrypted
+ *   `secretKeyJwe`.
+ * @param {boolean} [options.extractable=true] - Whether the secret key can be
+ *   exported; a non-extractable key can still sign.
+ * @param {object} [options.policy] - Key policy options overriding
+ *   `DEFAULT_KEY_POLICY`, see `validateKey`.
+ *
+ * @returns {Promise<object>} The imported key pair interface.
+ */
+export async function from(key, options = {}) {
+  const {algorithm, passphrase, extractable = EXTRACTABLE, policy} = options;
+  let multikey = {...key};
+  if(multikey.secretKeyJwe) {
+    const secretKeyJwk = await decryptJwk({
+      jwe: multikey.secretKeyJwe, passphrase
+    });
+    multikey.secretKeyMultibase = await toSecretKeyMultibaseFromJwk(
+      {jwk: secretKeyJwk});
+    multikey.secretKeyJwk = secretKeyJwk;
+    delete multikey.secretKeyJwe;
+  }
+  if(multikey.type !== 'Multikey') {
+    // attempt loading from JWK if `publicKeyJwk` is present
+    if(multikey.publicKeyJwk) {
+      let id;
+      let controller;
+      if(multikey.type === 'JsonWebKey' || multikey.type === 'JsonWebKey2020') {
+        ({id, controller} = multikey);
+      }
+      return fromJwk({
+        jwk: multikey.publicKeyJwk,
+        secretKey: !!multikey.secretKeyJwk || !!multikey.privateKeyJwk,
+        id,
+        controller,
+        algorithm,
+        extractable,
+        policy
+      });
+    }
+    if(multikey.type) {
+      multikey = await toMultikey({keyPair: multikey});
+      validateKey(multikey, {policy});
+      return _createKeyPairInterface(
+        {keyPair: multikey, algorithm, extractable});
+    }
+  }
+  if(!multikey.type) {
+    multikey.type = 'Multikey';
+  }
+  if(!multikey['@context']) {
+    multikey['@context'] = MULTIKEY_CONTEXT_V1_URL;
+  }
+  if(multikey.controller && !multikey.id) {
+    multikey.id = `${multikey.controller}#${multikey.publicKeyMultibase}`;
+  }
+
+  _assertMultikey(multikey);
+  validateKey(multikey, {policy});
+  return _createKeyPairInterface({keyPair: multikey, algorithm, extractable});
+}
+
+/**
+ * Imports an RSA key pair from JWK format.
+ *
+ * @param {object} options - Options hash.
+ * @param {object|string} options.jwk - The JWK, or a compact JWE of a secret
+ *   JWK created by `toJwk({secretKey: true, passphrase})`.
+ * @param {boolean} [options.secretKey=false] - Whether to include secret key;
+ *   always true for an encrypted JWK.
+ * @param {string} [options.id] - Optional key ID.
+ * @param {string} [options.controller] - Optional controller (DID).
+ * @param {string} [options.algorithm] - JOSE algorithm to use the key with;
+ *   defaults to `jwk.alg` or "PS256".
+ * @param {string} [options.passphrase] - Passphrase to decrypt an encrypted
+ *   JWK.
+ * @param {boolean} [options.extractable=true] - Whether the secret key can be
+ *   exported.
+ * @param {object} [options.policy] - Key policy options, see `validateKey`.
+ *
+ * The `x5c` and `x5t#S256` members of the JWK are checked against the key and
+ * carried through to `export()` and `toJwk()`.
+ *
+ * @returns {Promise<object>} The imported key pair interface.
+ */
+export async function fromJwk({
+  jwk, secretKey = false, id, controller, algorithm, passphrase,
+  extractable = EXTRACTABLE, policy
+} = {}) {
+  if(typeof jwk === 'string') {
+    jwk = await decryptJwk({jwe: jwk, passphrase});
+    secretKey = true;
+  }
+  if(!jwk || typeof jwk !== 'object') {
+    throw new InvalidArgumentError('"jwk" is required.');
+  }
+  if(jwk.kty !== 'RSA') {
+    throw new InvalidKeyError('JWK must have kty "RSA".');
+  }
+  if(!algorithm) {
+    algorithm = jwk.alg || DEFAULT_ALGORITHM;
+  }
+  getAlgorithmParams({algorithm});
+
+  const modulusLength = getModulusLengthFromJwk(jwk);
+  // Extract only public key fields for multibase conversion
+  const publicJwk = {
+    kty: jwk.kty,
+    n: jwk.n,
+    e: jwk.e,
+    alg: jwk.alg
+  };
+  const multikey = {
+    '@context': MULTIKEY_CONTEXT_V1_URL,
+    type: 'Multikey',
+    publicKeyMultibase: await toPublicKeyMultibaseFromJwk({jwk: publicJwk}),
+    publicKeyJwk: {
+      kty: jwk.kty,
+      n: jwk.n,
+      e: jwk.e,
+      alg: algorithm,
+      ...await _getX509Members({jwk})
+    },
+    modulusLength
+  };
+  if(typeof id === 'string') {
+    multikey.id = id;
+  }
+  if(typeof controller === 'string') {
+    multikey.controller = controller;
+  }
+  if(secretKey && jwk.d) {
+    multikey.secretKeyMultibase = await toSecretKeyMultibaseFromJwk({jwk});
+    multikey.secretKeyJwk = {
+      kty: jwk.kty,
+      n: jwk.n,
+      e: jwk.e,
+      d: jwk.d,
+      p: jwk.p,
+      q: jwk.q,
+      dp: jwk.dp,
+      dq: jwk.dq,
+      qi: jwk.qi,
+      alg: algorithm
+    };
+  }
+  return from(multikey, {extractable, policy});
+}
+
+/**
+ * Imports an RSA public key from an X.509 certificate. The certificate chain
+ * is kept on the key pair as `x5c`.
+ *
+ * @param {object} options - Options hash.
+ * @param {string|Uint8Array} [options.certificate] - PEM document with one or
+ *   more certificates (leaf first) or a DER-encoded certificate.
+ * @param {Array<string>} [options.x5c] - Base64-encoded DER certificates,
+ *   leaf first, as in a JWK `x5c` member.
+ * @param {string} [options.id] - Optional key ID.
+ * @param {string} [options.controller] - Optional controller (DID).
+ * @param {string} [options.algorithm='PS256'] - JOSE algorithm to use the
+ *   key with.
+ * @param {object} [options.policy] - Key policy options, see `validateKey`.
+ *
+ * @returns {Promise<object>} The imported key pair interface.
+ */
+export async function fromCertificate({
+  certificate, x5c, id, controller, algorithm = DEFAULT_ALGORITHM, policy
+} = {}) {
+  const chain = decodeCertificateChain({certificate, x5c});
+  const publicKey = certificateToSpki(chain[0]);
+  const cryptoKey = await cryptoKeyfromRaw({
+    modulusLength: getRsaModulusLength(spkiToRsaPublicKey(publicKey)),
+    publicKey,
+    algorithm
+  });
+  const jwk = await webcrypto.subtle.exportKey('jwk', cryptoKey);
+  return fromJwk({
+    jwk: {...jwk, x5c: toX5c(chain)},
+    id,
+    controller,
+    algorithm,
+    policy
+  });
+}
+
+/**
+ * Imports an RSA public key from a did:key identifier.
+ *
+ * @param {string} did - The did:key identifier, optionally with fragment.
+ * @param {object} [options={}] - Options hash.
+ * @param {object} [options.policy] - Key policy options, see `validateKey`.
+ *
+ * @returns {Promise<object>} The imported key pair interface.
+ */
+export async function fromDidKey(did, {policy} = {}) {
+  const {did: controller, publicKeyMultibase} = parseDidKey(did);
+  return from({
+    id: `${controller}#${publicKeyMultibase}`,
+    controller,
+    publicKeyMultibase
+  }, {policy});
+}
+
+/**
+ * Imports the public key of a verification method in a DID document, e.g. a
+ * resolved did:web document.
+ *
+ * @param {object} didDocument - The DID document.
+ * @param {object} options - Options hash.
+ * @param {string} options.id - The verification method id, or its fragment.
+ * @param {string} [options.relationship] - A verification relationship, e.g.
+ *   "assertionMethod", that the method must be referenced under.
+ * @param {string} [options.algorithm] - JOSE algorithm to use the key with.
+ * @param {object} [options.policy] - Key policy options, see `validateKey`.
+ *
+ * @returns {Promise<object>} The imported key pair interface.
+ */
+export async function fromDidDocument(didDocument, {
+  id, relationship, algorithm, policy
+} = {}) {
+  const verificationMethod = getVerificationMethod(
+    {didDocument, id, relationship});
+  return from(verificationMethod, {algorithm, policy});
+}
+
+/**
+ * Creates a key pair interface for a key kept in a key backend, e.g. a KMS.
+ * The public key exports as Multikey and JWK as usual, while `signer()` asks
+ * the backend to sign; the secret key never leaves the backend.
+ *
+ * @param {object} options - Options hash.
+ * @param {object} options.backend - The key backend, see
+ *   `createMemoryBackend`.
+ * @param {string} [options.id] - Optional key ID.
+ * @param {string} [options.controller] - Optional controller (DID).
+ * @param {object} [options.policy] - Key policy options, see `validateKey`.
+ *
+ * @returns {Promise<object>} The key pair interface.
+ */
+export async function fromBackend({backend, id, controller, policy} = {}) {
+  assertBackend(backend);
+  const {algorithm} = backend.metadata;
+  const jwk = await backend.getPublicKey();
+  const keyPair = await fromJwk({jwk, id, controller, algorithm, policy});
+  keyPair.backend = backend;
+  return keyPair;
+}
+
+/**
+ * Converts a key pair to JWK format.
+ *
+ * @param {object} options - Options hash.
+ * @param {object} options.keyPair - The key pair.
+ * @param {boolean} [options.secretKey=false] - Whether to export secret key.
+ * @param {string} [options.passphrase] - Encrypts an exported secret key as
+ *   a compact JWE (PBES2-HS256+A128KW, A256GCM) with this passphrase.
+ *
+ * @returns {Promise<object|string>} The JWK, or the compact JWE of the
+ *   secret JWK if a passphrase is given.
+ */
+export async function toJwk({keyPair, secretKey = false, passphrase} = {}) {
+  if(!(keyPair?.publicKey instanceof CryptoKey) &&
+     !(keyPair?.publicKey?.algorithm)) {
+    keyPair = await importKeyPair(keyPair);
+  }
+  const useSecretKey = secretKey && !!keyPair.secretKey;
+  if(useSecretKey && !keyPair.secretKey.extractable) {
+    throw new KeyNotExtractableError();
+  }
+  const cryptoKey = useSecretKey ? keyPair.secretKey : keyPair.publicKey;
+  const jwk = await webcrypto.subtle.exportKey('jwk', cryptoKey);
+  // Ensure alg is set to the JOSE algorithm of the key
+  if(!jwk.alg) {
+    jwk.alg = getAlgorithmFromCryptoKey({key: cryptoKey});
+  }
+  const result = {...jwk, ..._pickX509Members(keyPair.publicKeyJwk)};
+  if(useSecretKey && passphrase !== undefined) {
+    return encryptJwk({jwk: result, passphrase});
+  }
+  return result;
+}
+
+/**
+ * Imports a key pair from raw bytes.
+ *
+ * @param {object} options - Options hash.
+ * @param {number} options.modulusLength - The RSA modulus length.
+ * @param {Uint8Array} [options.secretKey] - The secret key bytes (PKCS#8).
+ * @param {Uint8Array} options.publicKey - The public key bytes (SPKI).
+ * @param {string} [options.algorithm='PS256'] - JOSE algorithm to use the
+ *   key with.
+ * @param {string} [options.id] - Optional key ID.
+ * @param {string} [options.controller] - Optional controller (DID).
+ * @param {boolean} [options.extractable=true] - Whether the secret key can be
+ *   exported.
+ * @param {object} [options.policy] - Key policy options, see `validateKey`.
+ *
+ * @returns {Promise<object>} The imported key pair interface.
+ */
+export async function fromRaw({
+  modulusLength,
+  secretKey,
+  publicKey,
+  algorithm = DEFAULT_ALGORITHM,
+  id,
+  controller,
+  extractable = EXTRACTABLE,
+  policy
+} = {}) {
+  if(typeof modulusLength !== 'number') {
+    throw new InvalidArgumentError('"modulusLength" must be a number.');
+  }
+  if(secretKey && !(secretKey instanceof Uint8Array)) {
+    throw new InvalidArgumentError('"secretKey" must be a Uint8Array.');
+  }
+  if(!(publicKey instanceof Uint8Array)) {
+    throw new InvalidArgumentError('"publicKey" must be a Uint8Array.');
+  }
+  const cryptoKey = await cryptoKeyfromRaw({
+    modulusLength,
+    secretKey,
+    publicKey,
+    algorithm
+  });
+  const jwk = await webcrypto.subtle.exportKey('jwk', cryptoKey);
+  return fromJwk({
+    jwk, secretKey: !!secretKey, algorithm, id, controller, extractable, policy
+  });
+}
+
+/**
+ * Imports a key pair from a PEM document. SPKI ("PUBLIC KEY"), PKCS#8
+ * ("PRIVATE KEY") and PKCS#1 ("RSA PUBLIC KEY", "RSA PRIVATE KEY") blocks are
+ * supported.
+ *
+ * @param {object} options - Options hash.
+ * @param {string} options.pem - The PEM document.
+ * @param {string} [options.passphrase] - Passphrase to decrypt an
+ *   "ENCRYPTED PRIVATE KEY" (PKCS#8 PBES2) block.
+ * @param {string} [options.id] - Optional key ID.
+ * @param {string} [options.controller] - Optional controller (DID).
+ * @param {string} [options.algorithm='PS256'] - JOSE algorithm to use the
+ *   key with.
+ * @param {boolean} [options.extractable=true] - Whether the secret key can be
+ *   exported.
+ * @param {object} [options.policy] - Key policy options, see `validateKey`.
+ *
+ * @returns {Promise<object>} The imported key pair interface.
+ */
+export async function fromPem({
+  pem, passphrase, id, controller, algorithm, extractable, policy
+} = {}) {
+  const {publicKey, secretKey} = await pemToKeyBytes({pem, passphrase});
+  const modulusLength = getRsaModulusLength(spkiToRsaPublicKey(publicKey));
+  return fromRaw({
+    modulusLength, secretKey, publicKey, algorithm, id, controller,
+    extractable, policy
+  });
+}
+
+/**
+ * Reads a key pair from a JSON keystore created by `toKeystore`.
+ *
+ * @param {object|string} json - The keystore or its JSON text.
+ * @param {object} options - Options hash.
+ * @param {string} options.passphrase - The passphrase.
+ * @param {boolean} [options.extractable=true] - Whether the secret key can be
+ *   exported.
+ * @param {object} [options.policy] - Key policy options, see `validateKey`.
+ *
+ * @returns {Promise<object>} The key pair interface, with the keystore's
+ *   `created` time.
+ */
+export async function fromKeystore(json, {
+  passphrase, extractable, policy
+} = {}) {
+  const {
+    id, controller, algorithm, created, publicKeyMultibase, secretKeyJwe
+  } = parseKeystore(json);
+  const keyPair = await from(
+    {id, controller, publicKeyMultibase, secretKeyJwe},
+    {algorithm, passphrase, extractable, policy});
+  keyPair.created = created;
+  return keyPair;
+}
+
+/**
+ * Augments key pair with useful metadata and utilities.
+ *
+ * @param {object} options - Options hash.
+ * @param {object} options.keyPair - The key pair.
+ * @param {number} [options.modulusLength] - The RSA modulus length.
+ * @param {string} [options.algorithm] - The JOSE algorithm to import with.
+ * @param {boolean} [options.extractable] - Whether the secret key can be
+ *   exported.
+ *
+ * @returns {Promise<object>} The augmented key pair interface.
+ */
+async function _createKeyPairInterface({
+  keyPair, modulusLength, algorithm, extractable
+} = {}) {
+  if(!(keyPair?.publicKey instanceof CryptoKey) &&
+     !(keyPair?.publicKey?.algorithm)) {
+    keyPair = await importKeyPair(keyPair, {algorithm, extractable});
+  }
+  if(keyPair.secretKey && !keyPair.secretKey.extractable) {
+    // do not carry imported secret key material past the CryptoKey
+    const {
+      secretKeyMultibase, secretKeyJwk, privateKeyJwk, ...publicKeyPair
+    } = keyPair;
+    keyPair = publicKeyPair;
+  }
+  algorithm = getAlgorithmFromCryptoKey({key: keyPair.publicKey});
+  const x509Members = _pickX509Members(keyPair.publicKeyJwk);
+
+  // Determine modulus length if not provided
+  if(!modulusLength) {
+    if(keyPair.modulusLength) {
+      modulusLength = keyPair.modulusLength;
+    } else if(keyPair.publicKeyJwk) {
+      modulusLength = getModulusLengthFromJwk(keyPair.publicKeyJwk);
+    } else if(keyPair.publicKey.algorithm?.modulusLength) {
+      modulusLength = keyPair.publicKey.algorithm.modulusLength;
+    } else {
+      modulusLength = DEFAULT_MODULUS_LENGTH;
+    }
+  }
+
+  const exportFn = async ({
+    publicKey = true,
+    secretKey = false,
+    includeContext = true,
+    raw = false,
+    format,
+    pkcs1 = false,
+    passphrase
+  } = {}) => {
+    if(format === 'pem') {
+      const keyBytes = await exportFn({publicKey, secretKey, raw: true});
+      return keyBytesToPem({...keyBytes, pkcs1, passphrase});
+    }
+    if(format !== undefined) {
+      throw new KeyFormatError(`Unsupported export format "${format}".`);
+    }
+    if(raw && passphrase !== undefined) {
+      throw new InvalidArgumentError(
+        '"passphrase" is not supported for raw export.');
+    }
+    if(raw) {
+      const jwk = await toJwk({keyPair, secretKey});
+      const result = {};
+      if(publicKey) {
+        // Extract only public key fields for public key bytes
+        const publicJwk = {
+          kty: jwk.kty,
+          n: jwk.n,
+          e: jwk.e,
+          alg: jwk.alg
+        };
+        result.publicKey = await toPublicKeyBytes({jwk: publicJwk});
+      }
+      if(secretKey) {
+        result.secretKey = await toSecretKeyBytes({jwk});
+      }
+      return result;
+    }
+    const result = await exportKeyPair(
+      {keyPair, publicKey, secretKey, includeContext});
+    if(result.publicKeyJwk) {
+      Object.assign(result.publicKeyJwk, x509Members);
+    }
+    if(result.secretKeyJwk && passphrase !== undefined) {
+      result.secretKeyJwe = await encryptJwk(
+        {jwk: result.secretKeyJwk, passphrase});
+      delete result.secretKeyMultibase;
+      delete result.secretKeyJwk;
+    }
+    return result;
+  };
+
+  const {publicKeyMultibase, secretKeyMultibase} = await exportFn({
+    publicKey: true,
+    secretKey: !!keyPair.secretKey?.extractable,
+    includeContext: true
+  });
+
+  keyPair = {
+    ...keyPair,
+    publicKeyMultibase,
+    secretKeyMultibase,
+    modulusLength,
+    algorithm,
+    x5c: x509Members.x5c,
+    export: exportFn,
+    signer({algorithm = keyPair.algorithm} = {}) {
+      const {id, secretKey, backend} = keyPair;
+      if(backend) {
+        return createSigner({id, backend, algorithm});
+      }
+      if(!secretKey) {
+        throw new MissingSecretKeyError('Secret key is required for signing.');
+      }
+      return createSigner({id, secretKey, algorithm});
+    },
+    verifier({algorithm = keyPair.algorithm} = {}) {
+      const {id, publicKey} = keyPair;
+      return createVerifier({id, publicKey, algorithm});
+    },
+    async signJws({payload, protectedHeader, detached} = {}) {
+      return signJws({
+        signer: keyPair.signer(), payload, protectedHeader, detached
+      });
+    },
+    async verifyJws(jws, {payload} = {}) {
+      return verifyJws({verifier: keyPair.verifier(), jws, payload});
+    },
+    async toKeystore({passphrase, created} = {}) {
+      return toKeystore({keyPair, passphrase, created});
+    },
+    async toVerificationMethod({type, id, controller, secretKey} = {}) {
+      return toVerificationMethod({keyPair, type, id, controller, secretKey});
+    },
+    async thumbprint() {
+      const jwk = await webcrypto.subtle.exportKey('jwk', keyPair.publicKey);
+      return getJwkThumbprint({jwk});
+    },
+    async thumbprintUri() {
+      return getJwkThumbprintUri({thumbprint: await keyPair.thumbprint()});
+    },
+    toDidKey() {
+      return {
+        did: createDidKey({publicKeyMultibase}),
+        didDocument: createDidKeyDocument({publicKeyMultibase})
+      };
+    }
+  };
+
+  return keyPair;
+}
+
+/**
+ * Validates the X.509 members of a JWK against its public key.
+ *
+ * @param {object} options - Options hash.
+ * @param {object} options.jwk - The JWK.
+ *
+ * @returns {Promise<object>} The `x5c` and `x5t#S256` members, if any.
+ */
+async function _getX509Members({jwk}) {
+  if(!jwk.x5c) {
+    return _pickX509Members(jwk);
+  }
+  const [leaf] = decodeCertificateChain({x5c: jwk.x5c});
+  const certificateKey = spkiToRsaPublicKey(certificateToSpki(leaf));
+  const jwkKey = spkiToRsaPublicKey(await toPublicKeyBytes({jwk}));
+  if(!equalBytes(certificateKey, jwkKey)) {
+    throw new InvalidKeyError('"x5c" certificate does not match the JWK key.');
+  }
+  const x5tS256 = await getX5tS256(leaf);
+  if(jwk['x5t#S256'] && jwk['x5t#S256'] !== x5tS256) {
+    throw new InvalidKeyError(
+      '"x5t#S256" does not match the "x5c" certificate.');
+  }
+  return {x5c: [...jwk.x5c], 'x5t#S256': x5tS256};
+}
+
+function _pickX509Members(jwk = {}) {
+  const members = {};
+  if(jwk.x5c) {
+    members.x5c = jwk.x5c;
+  }
+  if(jwk['x5t#S256']) {
+    members['x5t#S256'] = jwk['x5t#S256'];
+  }
+  return members;
+}
+
+/**
+ * Checks if key pair is in Multikey format.
+ *
+ * @param {object} key - The key to check.
+ *
+ * @throws {KeyFormatError} If key is not a valid Multikey.
+ */
+function _assertMultikey(key) {
+  if(!(key && typeof key === 'object')) {
+    throw new InvalidArgumentError('"key" must be an object.');
+  }
+  if(key.type !== 'Multikey') {
+    throw new KeyFormatError('"key" must be a Multikey with type "Multikey".');
+  }
+  if(!(key['@context'] === MULTIKEY_CONTEXT_V1_URL ||
+    (Array.isArray(key['@context']) &&
+    key['@context'].includes(MULTIKEY_CONTEXT_V1_URL)))) {
+    throw new KeyFormatError(
+      '"key" must be a Multikey with context ' +
+      `"${MULTIKEY_CONTEXT_V1_URL}".`);
+  }
+}
+
@@ -0,0 +1,85 @@
+/*!
+ * Copyright (c) 2024 European EPC Competence Center GmbH. All rights reserved.
+ */
+
+import {
+  KeyFormatError,
+  KeyNotExtractableError,
+  MissingSecretKeyError
+} from './errors.js';
+import {encryptJwk} from './encryption.js';
+
+export const KEYSTORE_TYPE = 'RsaMultikeyKeystore';
+export const KEYSTORE_VERSION = 1;
+
+/**
+ * Serializes a key pair to a versioned JSON keystore. The secret key is
+ * stored as a compact JWE (PBES2-HS256+A128KW, A256GCM) encrypted with the
+ * passphrase; everything else is stored in the clear:
+ *
+ *   {type, version, id, controller, algorithm, created, publicKeyMultibase,
+ *     secretKeyJwe}
+ *
+ * @param {object} options - Options hash.
+ * @param {object} options.keyPair - The key pair interface.
+ * @param {string} options.passphrase - The passphrase.
+ * @param {string} [options.created] - The ISO 8601 creation time; defaults to
+ *   the `created` time of a key pair read by `fromKeystore`, or now.
+ *
+ * @returns {Promise<object>} The keystore; `JSON.stringify` it to save it.
+ */
+export async function toKeystore({keyPair, passphrase, created} = {}) {
+  if(!keyPair?.secretKey) {
+    throw new MissingSecretKeyError('A keystore requires a secret key.');
+  }
+  if(!keyPair.secretKey.extractable) {
+    throw new KeyNotExtractableError();
+  }
+  const {publicKeyMultibase, secretKeyJwk} = await keyPair.export(
+    {publicKey: true, secretKey: true, includeContext: false});
+  return {
+    type: KEYSTORE_TYPE,
+    version: KEYSTORE_VERSION,
+    id: keyPair.id,
+    controller: keyPair.controller,
+    algorithm: keyPair.algorithm,
+    created: created ?? keyPair.created ?? new Date().toISOString(),
+    publicKeyMultibase,
+    secretKeyJwe: await encryptJwk({jwk: secretKeyJwk, passphrase})
+  };
+}
+
+/**
+ * Parses and checks a JSON keystore created by `toKeystore`; `fromKeystore`
+ * imports the key pair from it.
+ *
+ * @param {object|string} json - The keystore or its JSON text.
+ *
+ * @returns {object} The keystore.
+ */
+export function parseKeystore(json) {
+  const keystore = typeof json === 'string' ? _parse(json) : json;
+  if(keystore?.type !== KEYSTORE_TYPE) {
+    throw new KeyFormatError(`Keystore must have type "${KEYSTORE_TYPE}".`);
+  }
+  if(keystore.version !== KEYSTORE_VERSION) {
+    throw new KeyFormatError(
+      `Unsupported keystore version "${keystore.version}"; expected ` +
+      `${KEYSTORE_VERSION}.`);
+  }
+  const {publicKeyMultibase, secretKeyJwe} = keystore;
+  if(typeof publicKeyMultibase !== 'string' ||
+    typeof secretKeyJwe !== 'string') {
+    throw new KeyFormatError(
+      'Keystore must have "publicKeyMultibase" and "secretKeyJwe".');
+  }
+  return keystore;
+}
+
+function _parse(json) {
+  try {
+    return JSON.parse(json);
+  } catch(e) {
+    throw new KeyFormatError('Keystore is not valid JSON.');
+  }
+}
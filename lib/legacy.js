@@ -0,0 +1,184 @@
+/*!
+ * Copyright (c) 2024 European EPC Competence Center GmbH. All rights reserved.
+ */
+
+import {concatBytes} from './asn1.js';
+import {from, fromPem} from './keyPair.js';
+import {rsaRdfc2025Cryptosuite} from './cryptosuite.js';
+import {verifyJws} from './jws.js';
+import {webcrypto} from './crypto.js';
+import {
+  InvalidArgumentError,
+  InvalidKeyError,
+  JwsVerificationError,
+  ProofPurposeError,
+  UnsupportedAlgorithmError
+} from './errors.js';
+import {base64urlDecode} from './encoding.js';
+
+/**
+ * Verifier suite for legacy `RsaSignature2018` proofs.
+ */
+export const rsaSignature2018 = _createLegacySuite({
+  type: 'RsaSignature2018',
+  algorithms: ['PS256']
+});
+
+/**
+ * Verifier suite for legacy `JsonWebSignature2020` proofs made with RSA keys.
+ */
+export const jsonWebSignature2020 = _createLegacySuite({
+  type: 'JsonWebSignature2020',
+  algorithms: ['PS256']
+});
+
+function _createLegacySuite({type, algorithms}) {
+  return {
+    type,
+    algorithms,
+    /**
+     * Verifies a detached JWS proof over
+     * SHA-256(canonized proof options) || SHA-256(canonized document).
+     *
+     * @param {object} options - Options hash.
+     * @param {object} options.document - The document, with or without
+     *   `proof`.
+     * @param {object} options.proof - The proof to verify.
+     * @param {Function} options.documentLoader - Loads contexts and the
+     *   verification method.
+     * @param {object} [options.verificationMethod] - The verification method,
+     *   instead of loading `proof.verificationMethod`.
+     * @param {string} [options.expectedProofPurpose='assertionMethod'] - The
+     *   required `proof.proofPurpose`; the controller of the verification
+     *   method must list the method under this relationship.
+     * @param {boolean} [options.safe=true] - Whether to canonize in JSON-LD
+     *   safe mode, which rejects terms the context does not define.
+     *
+     * @returns {Promise<object>} The `verified` result with the
+     *   `verificationMethod` or the `error`.
+     */
+    async verifyProof({
+      document, proof, documentLoader, verificationMethod,
+      expectedProofPurpose = 'assertionMethod', safe = true
+    } = {}) {
+      try {
+        if(proof?.type !== type) {
+          throw new InvalidArgumentError(`"proof.type" must be "${type}".`);
+        }
+        if(typeof proof.jws !== 'string') {
+          throw new InvalidArgumentError('"proof.jws" must be a string.');
+        }
+        if(typeof documentLoader !== 'function') {
+          throw new InvalidArgumentError(
+            '"documentLoader" must be a function.');
+        }
+        if(proof.proofPurpose !== expectedProofPurpose) {
+          throw new ProofPurposeError(
+            `"proof.proofPurpose" must be "${expectedProofPurpose}".`);
+        }
+        if(!verificationMethod) {
+          verificationMethod = await _loadVerificationMethod(
+            {id: proof.verificationMethod, documentLoader});
+        }
+        await _checkProofPurpose({
+          verificationMethod, proofPurpose: expectedProofPurpose,
+          documentLoader
+        });
+        const [encodedHeader] = proof.jws.split('.');
+        const {alg} = JSON.parse(
+          new TextDecoder().decode(base64urlDecode(encodedHeader)));
+        if(!algorithms.includes(alg)) {
+          throw new UnsupportedAlgorithmError(
+            `"${type}" proofs must use one of: ${algorithms.join(', ')}.`);
+        }
+        const keyPair = await _importKey({verificationMethod, algorithm: alg});
+        const payload = await _createVerifyData(
+          {document, proof, documentLoader, safe});
+        const {protectedHeader} = await verifyJws(
+          {verifier: keyPair.verifier(), jws: proof.jws, payload});
+        if(protectedHeader.b64 !== false) {
+          throw new JwsVerificationError(
+            `"${type}" proofs must use an unencoded payload.`);
+        }
+        return {verified: true, verificationMethod};
+      } catch(error) {
+        return {verified: false, error};
+      }
+    }
+  };
+}
+
+async function _loadVerificationMethod({id, documentLoader}) {
+  if(typeof id !== 'string') {
+    throw new InvalidArgumentError(
+      '"proof.verificationMethod" must be a string.');
+  }
+  const loaded = await _loadDocument({url: id, documentLoader});
+  // a DID document lists the verification method by id
+  if(Array.isArray(loaded?.verificationMethod)) {
+    const verificationMethod = loaded.verificationMethod.find(
+      method => method.id === id);
+    if(!verificationMethod) {
+      throw new InvalidKeyError(`Verification method "${id}" not found.`);
+    }
+    return verificationMethod;
+  }
+  return loaded;
+}
+
+// the controller must list the method under the proof purpose, by id or
+// embedded, e.g. `assertionMethod: ['did:example:1234#key-1']`
+async function _checkProofPurpose({
+  verificationMethod, proofPurpose, documentLoader
+}) {
+  const {id, controller} = verificationMethod;
+  if(typeof controller !== 'string') {
+    throw new ProofPurposeError(
+      'Verification method "controller" must be a string.');
+  }
+  const controllerDocument = await _loadDocument(
+    {url: controller, documentLoader});
+  if(controllerDocument?.id !== controller) {
+    throw new ProofPurposeError(
+      `Controller document "id" must be "${controller}".`);
+  }
+  const methods = [controllerDocument[proofPurpose]].flat();
+  if(!methods.some(method => (method?.id ?? method) === id)) {
+    throw new ProofPurposeError(
+      `Verification method "${id}" is not authorized by its controller ` +
+      `for "${proofPurpose}".`);
+  }
+}
+
+async function _loadDocument({url, documentLoader}) {
+  const {document} = await documentLoader(url);
+  return typeof document === 'string' ? JSON.parse(document) : document;
+}
+
+async function _importKey({verificationMethod, algorithm}) {
+  // `RsaVerificationKey2018` keys are usually given as `publicKeyPem`
+  if(typeof verificationMethod?.publicKeyPem === 'string') {
+    const {id, controller, publicKeyPem: pem} = verificationMethod;
+    return fromPem({pem, id, controller, algorithm});
+  }
+  return from(verificationMethod, {algorithm});
+}
+
+async function _createVerifyData({document, proof, documentLoader, safe}) {
+  // proof options exclude the signature, in the document context
+  const {jws, signatureValue, proofValue, ...proofOptions} = proof;
+  proofOptions['@context'] = document['@context'];
+  const {proof: existingProof, ...unsecuredDocument} = document;
+  const {canonize} = rsaRdfc2025Cryptosuite;
+  const [proofOptionsHash, documentHash] = await Promise.all([
+    canonize(proofOptions, {documentLoader, safe}).then(_sha256),
+    canonize(unsecuredDocument, {documentLoader, safe}).then(_sha256)
+  ]);
+  return concatBytes([proofOptionsHash, documentHash]);
+}
+
+async function _sha256(string) {
+  const digest = await webcrypto.subtle.digest(
+    'SHA-256', new TextEncoder().encode(string));
+  return new Uint8Array(digest);
+}
@@ -0,0 +1,40 @@
+/*!
+ * Copyright (c) 2024 European EPC Competence Center GmbH. All rights reserved.
+ */
+
+// Node.js entry point: the same API as `lib/index.js`, with pre-hashed
+// signing backed by `node:crypto` and an optional worker thread pool for it.
+
+import {getRuntime, setRuntime} from './runtime.js';
+import {createWorkerRuntime} from './runtime-worker.js';
+import {nodeRuntime} from './runtime-node.js';
+
+setRuntime(nodeRuntime);
+
+export * from './index.js';
+
+/**
+ * Moves pre-hashed signing (`signDigest`, key backends from
+ * `createMemoryBackend`) onto a pool of worker threads until the pool is
+ * closed, so that concurrent signatures, e.g. in `signBatch`, run in parallel.
+ *
+ * @param {object} [options={}] - Options hash.
+ * @param {number} [options.size] - The number of worker threads; defaults to
+ *   the available parallelism.
+ *
+ * @returns {object} The pool, with its `size` and `close()`, which waits for
+ *   the signatures in flight and returns to signing on the calling thread.
+ */
+export function startWorkerPool({size} = {}) {
+  const runtime = createWorkerRuntime({size});
+  setRuntime(runtime);
+  return {
+    size: runtime.size,
+    async close() {
+      if(getRuntime() === runtime) {
+        setRuntime(nodeRuntime);
+      }
+      await runtime.close();
+    }
+  };
+}
@@ -0,0 +1,177 @@
+/*!
+ * Copyright (c) 2024 European EPC Competence Center GmbH. All rights reserved.
+ */
+
+import {
+  equalBytes,
+  pkcs8ToRsaPrivateKey,
+  rsaPrivateKeyToPkcs8,
+  rsaPrivateKeyToRsaPublicKey,
+  rsaPublicKeyToSpki,
+  spkiToRsaPublicKey
+} from './asn1.js';
+import {decryptPkcs8, encryptPkcs8} from './encryption.js';
+import {
+  InvalidArgumentError,
+  InvalidKeyError,
+  KeyFormatError
+} from './errors.js';
+import {base64Decode, base64Encode} from './encoding.js';
+
+// PEM labels for the supported RSA key encodings
+export const PEM_LABELS = {
+  spki: 'PUBLIC KEY',
+  pkcs8: 'PRIVATE KEY',
+  encryptedPkcs8: 'ENCRYPTED PRIVATE KEY',
+  pkcs1Public: 'RSA PUBLIC KEY',
+  pkcs1Private: 'RSA PRIVATE KEY'
+};
+
+const PEM_REGEX =
+  /-----BEGIN ([A-Z0-9 ]+)-----([\s\S]*?)-----END ([A-Z0-9 ]+)-----/g;
+
+/**
+ * Decodes the blocks of a PEM document.
+ *
+ * @param {string} pem - The PEM document.
+ *
+ * @returns {Array<object>} The `label` and DER `bytes` of each block.
+ */
+export function decodePem(pem) {
+  if(typeof pem !== 'string') {
+    throw new InvalidArgumentError('"pem" must be a string.');
+  }
+  const blocks = [];
+  for(const [, label, body, endLabel] of pem.matchAll(PEM_REGEX)) {
+    if(label !== endLabel) {
+      throw new KeyFormatError(
+        `PEM block "${label}" does not match its end "${endLabel}".`);
+    }
+    if(body.includes(':')) {
+      // RFC 1421 headers, e.g. "Proc-Type: 4,ENCRYPTED"
+      throw new KeyFormatError(
+        `PEM block "${label}" with headers is not supported.`);
+    }
+    const base64 = body.replace(/\s+/g, '');
+    blocks.push({label, bytes: base64Decode(base64)});
+  }
+  if(blocks.length === 0) {
+    throw new KeyFormatError('"pem" does not contain a PEM block.');
+  }
+  return blocks;
+}
+
+/**
+ * Encodes DER bytes as a PEM block.
+ *
+ * @param {object} options - Options hash.
+ * @param {string} options.label - The PEM label, e.g. "PUBLIC KEY".
+ * @param {Uint8Array} options.bytes - The DER bytes.
+ *
+ * @returns {string} The PEM block.
+ */
+export function encodePem({label, bytes} = {}) {
+  const base64 = base64Encode(bytes);
+  const lines = base64.match(/.{1,64}/g) || [];
+  return `-----BEGIN ${label}-----\n${lines.join('\n')}\n` +
+    `-----END ${label}-----\n`;
+}
+
+/**
+ * Converts an RSA PEM document to key bytes. SPKI, PKCS#8, encrypted PKCS#8
+ * and PKCS#1 blocks are accepted; the public key is derived from the secret
+ * key if needed.
+ *
+ * @param {object} options - Options hash.
+ * @param {string} options.pem - The PEM document.
+ * @param {string} [options.passphrase] - The passphrase of an encrypted
+ *   private key.
+ *
+ * @returns {Promise<object>} The `publicKey` (SPKI) and, if present,
+ *   `secretKey` (PKCS#8) bytes.
+ */
+export async function pemToKeyBytes({pem, passphrase} = {}) {
+  let publicKey;
+  let secretKey;
+  for(const {label, bytes} of decodePem(pem)) {
+    if(label === PEM_LABELS.spki) {
+      // ensures the key is an RSA key
+      spkiToRsaPublicKey(bytes);
+      publicKey = bytes;
+    } else if(label === PEM_LABELS.pkcs1Public) {
+      publicKey = rsaPublicKeyToSpki(bytes);
+    } else if(label === PEM_LABELS.pkcs8) {
+      // ensures the key is an RSA key
+      pkcs8ToRsaPrivateKey(bytes);
+      secretKey = bytes;
+    } else if(label === PEM_LABELS.pkcs1Private) {
+      secretKey = rsaPrivateKeyToPkcs8(bytes);
+    } else if(label === PEM_LABELS.encryptedPkcs8) {
+      if(passphrase === undefined) {
+        throw new InvalidArgumentError(
+          '"passphrase" is required to import an encrypted private key.');
+      }
+      secretKey = await decryptPkcs8({encryptedPkcs8: bytes, passphrase});
+      // ensures the key is an RSA key
+      pkcs8ToRsaPrivateKey(secretKey);
+    } else {
+      throw new KeyFormatError(
+        `Unsupported PEM block "${label}"; only RSA keys are supported.`);
+    }
+  }
+  if(secretKey) {
+    const derivedPublicKey = rsaPublicKeyToSpki(
+      rsaPrivateKeyToRsaPublicKey(pkcs8ToRsaPrivateKey(secretKey)));
+    if(publicKey && !equalBytes(publicKey, derivedPublicKey)) {
+      throw new InvalidKeyError(
+        'PEM public key does not match the secret key.');
+    }
+    publicKey = derivedPublicKey;
+  }
+  return {publicKey, secretKey};
+}
+
+/**
+ * Converts key bytes to PEM blocks.
+ *
+ * @param {object} options - Options hash.
+ * @param {Uint8Array} [options.publicKey] - The public key bytes (SPKI).
+ * @param {Uint8Array} [options.secretKey] - The secret key bytes (PKCS#8).
+ * @param {boolean} [options.pkcs1=false] - Whether to use the legacy PKCS#1
+ *   "RSA PUBLIC KEY" and "RSA PRIVATE KEY" encodings.
+ * @param {string} [options.passphrase] - Encrypts the secret key as an
+ *   "ENCRYPTED PRIVATE KEY" (PKCS#8 PBES2) with this passphrase.
+ *
+ * @returns {Promise<object>} The `publicKey` and `secretKey` PEM blocks.
+ */
+export async function keyBytesToPem({
+  publicKey, secretKey, pkcs1 = false, passphrase
+} = {}) {
+  if(pkcs1 && passphrase !== undefined) {
+    throw new InvalidArgumentError(
+      'Encrypted private keys cannot use the legacy PKCS#1 encoding.');
+  }
+  const result = {};
+  if(publicKey) {
+    result.publicKey = pkcs1 ?
+      encodePem({
+        label: PEM_LABELS.pkcs1Public,
+        bytes: spkiToRsaPublicKey(publicKey)
+      }) :
+      encodePem({label: PEM_LABELS.spki, bytes: publicKey});
+  }
+  if(secretKey && passphrase !== undefined) {
+    result.secretKey = encodePem({
+      label: PEM_LABELS.encryptedPkcs8,
+      bytes: await encryptPkcs8({pkcs8: secretKey, passphrase})
+    });
+  } else if(secretKey) {
+    result.secretKey = pkcs1 ?
+      encodePem({
+        label: PEM_LABELS.pkcs1Private,
+        bytes: pkcs8ToRsaPrivateKey(secretKey)
+      }) :
+      encodePem({label: PEM_LABELS.pkcs8, bytes: secretKey});
+  }
+  return result;
+}
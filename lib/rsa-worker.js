@@ -0,0 +1,17 @@
+/*!
+ * Copyright (c) 2024 European EPC Competence Center GmbH. All rights reserved.
+ */
+
+// Worker thread of `createWorkerRuntime`: runs `nodeRuntime.rsaPrivate` for
+// each message and posts back the `output` or the `error` message.
+import {nodeRuntime} from './runtime-node.js';
+import {parentPort} from 'node:worker_threads';
+
+parentPort.on('message', async ({id, secretKey, input, padding}) => {
+  try {
+    const output = await nodeRuntime.rsaPrivate({secretKey, input, padding});
+    parentPort.postMessage({id, output}, [output.buffer]);
+  } catch(e) {
+    parentPort.postMessage({id, error: e.message});
+  }
+});
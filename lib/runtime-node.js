@@ -0,0 +1,42 @@
+/*!
+ * Copyright (c) 2024 European EPC Competence Center GmbH. All rights reserved.
+ */
+
+import {
+  constants,
+  createHash,
+  KeyObject,
+  privateEncrypt,
+  publicDecrypt
+} from 'node:crypto';
+
+/**
+ * Runtime using `node:crypto`: incremental hashing and raw RSA that also
+ * works with non-extractable secret keys. See `lib/runtime.js`.
+ */
+export const nodeRuntime = {
+  createHash(hash) {
+    // "SHA-256" -> "sha256"
+    const nodeHash = createHash(hash.replace('-', '').toLowerCase());
+    return {
+      update(chunk) {
+        nodeHash.update(chunk);
+      },
+      async digest() {
+        return new Uint8Array(nodeHash.digest());
+      }
+    };
+  },
+  async rsaPrivate({secretKey, input, padding}) {
+    return new Uint8Array(privateEncrypt({
+      key: KeyObject.from(secretKey),
+      padding: padding === 'pkcs1' ?
+        constants.RSA_PKCS1_PADDING : constants.RSA_NO_PADDING
+    }, input));
+  },
+  async rsaPublic({publicKey, input}) {
+    return new Uint8Array(publicDecrypt(
+      {key: KeyObject.from(publicKey), padding: constants.RSA_NO_PADDING},
+      input));
+  }
+};
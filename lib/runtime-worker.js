@@ -0,0 +1,100 @@
+/*!
+ * Copyright (c) 2024 European EPC Competence Center GmbH. All rights reserved.
+ */
+
+import {availableParallelism} from 'node:os';
+import {InvalidArgumentError} from './errors.js';
+import {nodeRuntime} from './runtime-node.js';
+import {Worker} from 'node:worker_threads';
+
+const WORKER_URL = new URL('./rsa-worker.js', import.meta.url);
+
+/**
+ * Creates a runtime like `nodeRuntime` whose private-key RSA runs on a pool
+ * of worker threads. `node:crypto` signs a digest synchronously on the
+ * calling thread, so only this spreads concurrent pre-hashed signatures, e.g.
+ * a key backend's `signBatch`, over several cores. Idle workers do not keep
+ * the process alive. `close()` lets the operations in flight finish and stops
+ * the workers; afterwards the runtime signs on the calling thread.
+ *
+ * @param {object} [options={}] - Options hash.
+ * @param {number} [options.size] - The number of worker threads; defaults to
+ *   the available parallelism.
+ *
+ * @returns {object} The runtime, with its `size` and `close()`.
+ */
+export function createWorkerRuntime({size = availableParallelism()} = {}) {
+  if(!Number.isInteger(size) || size < 1) {
+    throw new InvalidArgumentError('"size" must be a positive integer.');
+  }
+  let workers = Array.from({length: size}, _startWorker);
+  const inFlight = new Set();
+  let nextId = 0;
+
+  return {
+    size,
+    createHash: nodeRuntime.createHash,
+    rsaPublic: nodeRuntime.rsaPublic,
+    async rsaPrivate({secretKey, input, padding}) {
+      if(workers.length === 0) {
+        return nodeRuntime.rsaPrivate({secretKey, input, padding});
+      }
+      // the least busy worker takes the next operation
+      const worker = workers.reduce(
+        (a, b) => b.pending.size < a.pending.size ? b : a);
+      const id = nextId++;
+      const operation = new Promise((resolve, reject) => {
+        worker.pending.set(id, {resolve, reject});
+        if(worker.pending.size === 1) {
+          worker.thread.ref();
+        }
+        worker.thread.postMessage({id, secretKey, input, padding});
+      });
+      inFlight.add(operation);
+      try {
+        return await operation;
+      } finally {
+        inFlight.delete(operation);
+      }
+    },
+    async close() {
+      const closing = workers;
+      workers = [];
+      await Promise.allSettled(inFlight);
+      await Promise.all(closing.map(({thread}) => thread.terminate()));
+    }
+  };
+
+  function _startWorker() {
+    const worker = {thread: new Worker(WORKER_URL), pending: new Map()};
+    worker.thread.on('message', ({id, output, error}) => {
+      const {resolve, reject} = worker.pending.get(id);
+      _settle(worker, id);
+      if(error !== undefined) {
+        return reject(new Error(error));
+      }
+      resolve(output);
+    });
+    // a crashed worker fails its operations and is replaced
+    worker.thread.on('error', error => {
+      for(const [id, {reject}] of worker.pending) {
+        _settle(worker, id);
+        reject(error);
+      }
+      const index = workers.indexOf(worker);
+      if(index !== -1) {
+        workers[index] = _startWorker();
+      }
+    });
+    // after the listeners, which would keep the process alive again
+    worker.thread.unref();
+    return worker;
+  }
+}
+
+function _settle(worker, id) {
+  worker.pending.delete(id);
+  if(worker.pending.size === 0) {
+    worker.thread.unref();
+  }
+}
@@ -0,0 +1,115 @@
+/*!
+ * Copyright (c) 2024 European EPC Competence Center GmbH. All rights reserved.
+ */
+
+// WebCrypto cannot hash incrementally or sign a digest, so pre-hashed signing
+// (`lib/digest.js`) uses a runtime with these primitives:
+//
+//   {
+//     createHash(hash),              // {update(chunk), async digest()}
+//     // RSASP1 over `input` as is (padding "none") or over the
+//     // EMSA-PKCS1-v1_5 encoding of a DigestInfo `input` (padding "pkcs1")
+//     async rsaPrivate({secretKey, input, padding}),
+//     async rsaPublic({publicKey, input})    // raw RSA (RSAEP / RSAVP1)
+//   }
+//
+// The default runtime works everywhere with WebCrypto and BigInt but cannot
+// sign digests: private-key RSA must not run in JavaScript, which can neither
+// blind nor run in constant time. The Node.js entry point (`lib/node.js`)
+// swaps in `node:crypto`, which can.
+
+import {base64urlDecode, bytesToHex, hexToBytes} from './encoding.js';
+import {InvalidArgumentError, UnsupportedAlgorithmError} from './errors.js';
+import {concatBytes} from './asn1.js';
+import {webcrypto} from './crypto.js';
+
+/**
+ * Runtime using only WebCrypto and BigInt. Hashing buffers the whole input,
+ * and only the public-key RSA operation is available.
+ */
+export const webcryptoRuntime = {
+  createHash(hash) {
+    const chunks = [];
+    return {
+      update(chunk) {
+        chunks.push(typeof chunk === 'string' ?
+          new TextEncoder().encode(chunk) : chunk);
+      },
+      async digest() {
+        return new Uint8Array(
+          await webcrypto.subtle.digest(hash, concatBytes(chunks)));
+      }
+    };
+  },
+  async rsaPrivate() {
+    throw new UnsupportedAlgorithmError(
+      'Signing a digest needs the Node.js runtime; WebCrypto can only sign ' +
+      'whole messages.');
+  },
+  async rsaPublic({publicKey, input}) {
+    const jwk = await webcrypto.subtle.exportKey('jwk', publicKey);
+    const [n, e] = ['n', 'e'].map(
+      member => _toBigInt(base64urlDecode(jwk[member])));
+    const s = _toBigInt(input);
+    _assertRepresentative(s, n);
+    return _toBytes(_modPow(s, e, n), input.length);
+  }
+};
+
+let runtime = webcryptoRuntime;
+
+/**
+ * Gets the runtime used for pre-hashed signing.
+ *
+ * @returns {object} The runtime.
+ */
+export function getRuntime() {
+  return runtime;
+}
+
+/**
+ * Sets the runtime used for pre-hashed signing.
+ *
+ * @param {object} newRuntime - The runtime, see `webcryptoRuntime`.
+ */
+export function setRuntime(newRuntime) {
+  if(typeof newRuntime?.createHash !== 'function' ||
+    typeof newRuntime.rsaPrivate !== 'function' ||
+    typeof newRuntime.rsaPublic !== 'function') {
+    throw new InvalidArgumentError(
+      'Runtime must have "createHash", "rsaPrivate" and "rsaPublic".');
+  }
+  runtime = newRuntime;
+}
+
+function _assertRepresentative(value, n) {
+  if(value >= n) {
+    throw new InvalidArgumentError('RSA input is out of range.');
+  }
+}
+
+// only ever called with public values: it is neither blinded nor
+// constant-time
+function _modPow(base, exponent, modulus) {
+  let result = 1n;
+  base %= modulus;
+  while(exponent > 0n) {
+    if(exponent & 1n) {
+      result = (result * base) % modulus;
+    }
+    base = (base * base) % modulus;
+    exponent >>= 1n;
+  }
+  return result;
+}
+
+function _toBigInt(bytes) {
+  if(bytes.length === 0) {
+    return 0n;
+  }
+  return BigInt(`0x${bytesToHex(bytes)}`);
+}
+
+function _toBytes(value, length) {
+  return hexToBytes(value.toString(16).padStart(length * 2, '0'));
+}
@@ -4,8 +4,33 @@
 
 import {webcrypto} from './crypto.js';
 import {base58btc} from 'multiformats/bases/base58';
-import {getModulusLengthFromJwk} from './helpers.js';
+import {
+  getAlgorithmFromCryptoKey,
+  getAlgorithmParams,
+  getModulusLengthFromJwk
+} from './helpers.js';
 import {CryptoKey} from './crypto.js';
+import {
+  DEFAULT_ALGORITHM,
+  EXTRACTABLE,
+  MULTICODEC_RSA_PRIV_HEADER,
+  MULTICODEC_RSA_PUB_HEADER
+} from './constants.js';
+import {
+  concatBytes,
+  pkcs8ToRsaPrivateKey,
+  rsaPrivateKeyToPkcs8,
+  rsaPublicKeyToSpki,
+  spkiToRsaPublicKey,
+  TAG_SEQUENCE
+} from './asn1.js';
+import {
+  InvalidArgumentError,
+  InvalidKeyError,
+  KeyFormatError,
+  KeyNotExtractableError,
+  MissingSecretKeyError
+} from './errors.js';
 
 /**
  * Converts a JWK to public key bytes (DER-encoded SPKI).
@@ -17,15 +42,14 @@ import {CryptoKey} from './crypto.js';
  */
 export async function toPublicKeyBytes({jwk} = {}) {
   if(!jwk || typeof jwk !== 'object') {
-    throw new TypeError('"jwk" must be an object.');
+    throw new InvalidArgumentError('"jwk" must be an object.');
   }
+  // the algorithm does not affect the encoding, so only key fields are used
+  const {kty, n, e} = jwk;
   const publicKey = await webcrypto.subtle.importKey(
     'jwk',
-    jwk,
-    {
-      name: 'RSA-PSS',
-      hash: 'SHA-256',
-    },
+    {kty, n, e},
+    _getImportParams({algorithm: DEFAULT_ALGORITHM}),
     true,
     ['verify']
   );
@@ -43,18 +67,17 @@ export async function toPublicKeyBytes({jwk} = {}) {
  */
 export async function toSecretKeyBytes({jwk} = {}) {
   if(!jwk || typeof jwk !== 'object') {
-    throw new TypeError('"jwk" must be an object.');
+    throw new InvalidArgumentError('"jwk" must be an object.');
   }
   if(!jwk.d) {
-    throw new Error('JWK does not contain a private key.');
+    throw new MissingSecretKeyError('JWK does not contain a private key.');
   }
+  // the algorithm does not affect the encoding, so only key fields are used
+  const {kty, n, e, d, p, q, dp, dq, qi} = jwk;
   const privateKey = await webcrypto.subtle.importKey(
     'jwk',
-    jwk,
-    {
-      name: 'RSA-PSS',
-      hash: 'SHA-256',
-    },
+    {kty, n, e, d, p, q, dp, dq, qi},
+    _getImportParams({algorithm: DEFAULT_ALGORITHM}),
     true,
     ['sign']
   );
@@ -63,35 +86,41 @@ export async function toSecretKeyBytes({jwk} = {}) {
 }
 
 /**
- * Converts public key bytes to multibase format.
+ * Converts public key bytes to multibase format. The key is encoded as the
+ * `rsa-pub` multicodec header followed by the PKCS#1 RSAPublicKey.
  *
  * @param {object} options - Options hash.
- * @param {Uint8Array} options.publicKeyBytes - The public key bytes.
+ * @param {Uint8Array} options.publicKeyBytes - The public key bytes (SPKI).
  *
  * @returns {string} The multibase-encoded public key.
  */
 export function toPublicKeyMultibase({publicKeyBytes} = {}) {
   if(!(publicKeyBytes instanceof Uint8Array)) {
-    throw new TypeError('"publicKeyBytes" must be a Uint8Array.');
+    throw new InvalidArgumentError('"publicKeyBytes" must be a Uint8Array.');
   }
+  const rsaPublicKey = spkiToRsaPublicKey(publicKeyBytes);
   // base58btc.encode already includes the 'z' prefix
-  return base58btc.encode(publicKeyBytes);
+  return base58btc.encode(
+    concatBytes([MULTICODEC_RSA_PUB_HEADER, rsaPublicKey]));
 }
 
 /**
- * Converts secret key bytes to multibase format.
+ * Converts secret key bytes to multibase format. The key is encoded as the
+ * `rsa-priv` multicodec header followed by the PKCS#1 RSAPrivateKey.
  *
  * @param {object} options - Options hash.
- * @param {Uint8Array} options.secretKeyBytes - The secret key bytes.
+ * @param {Uint8Array} options.secretKeyBytes - The secret key bytes (PKCS#8).
  *
  * @returns {string} The multibase-encoded secret key.
  */
 export function toSecretKeyMultibase({secretKeyBytes} = {}) {
   if(!(secretKeyBytes instanceof Uint8Array)) {
-    throw new TypeError('"secretKeyBytes" must be a Uint8Array.');
+    throw new InvalidArgumentError('"secretKeyBytes" must be a Uint8Array.');
   }
+  const rsaPrivateKey = pkcs8ToRsaPrivateKey(secretKeyBytes);
   // base58btc.encode already includes the 'z' prefix
-  return base58btc.encode(secretKeyBytes);
+  return base58btc.encode(
+    concatBytes([MULTICODEC_RSA_PRIV_HEADER, rsaPrivateKey]));
 }
 
 /**
@@ -128,35 +157,55 @@ export async function toSecretKeyMultibaseFromJwk({jwk} = {}) {
 }
 
 /**
- * Converts multibase-encoded public key to bytes.
+ * Converts multibase-encoded public key to bytes. Both the `rsa-pub`
+ * multicodec encoding and the legacy bare SPKI encoding are accepted.
  *
  * @param {object} options - Options hash.
  * @param {string} options.publicKeyMultibase - The multibase-encoded public key.
  *
- * @returns {Uint8Array} The public key bytes.
+ * @returns {Uint8Array} The public key bytes (SPKI).
  */
 export function fromPublicKeyMultibase({publicKeyMultibase} = {}) {
   if(typeof publicKeyMultibase !== 'string') {
-    throw new TypeError('"publicKeyMultibase" must be a string.');
+    throw new InvalidArgumentError('"publicKeyMultibase" must be a string.');
+  }
+  const decoded = _decodeBase58btc({publicKeyMultibase});
+  if(_hasPrefix(decoded, MULTICODEC_RSA_PUB_HEADER)) {
+    return rsaPublicKeyToSpki(
+      decoded.subarray(MULTICODEC_RSA_PUB_HEADER.length));
   }
-  // base58btc.decode handles the 'z' prefix automatically
-  return base58btc.decode(publicKeyMultibase);
+  // legacy encoding: bare DER-encoded SPKI
+  if(decoded[0] === TAG_SEQUENCE) {
+    return decoded;
+  }
+  throw new KeyFormatError(
+    '"publicKeyMultibase" must be an "rsa-pub" multicodec or SPKI key.');
 }
 
 /**
- * Converts multibase-encoded secret key to bytes.
+ * Converts multibase-encoded secret key to bytes. Both the `rsa-priv`
+ * multicodec encoding and the legacy bare PKCS#8 encoding are accepted.
  *
  * @param {object} options - Options hash.
  * @param {string} options.secretKeyMultibase - The multibase-encoded secret key.
  *
- * @returns {Uint8Array} The secret key bytes.
+ * @returns {Uint8Array} The secret key bytes (PKCS#8).
  */
 export function fromSecretKeyMultibase({secretKeyMultibase} = {}) {
   if(typeof secretKeyMultibase !== 'string') {
-    throw new TypeError('"secretKeyMultibase" must be a string.');
+    throw new InvalidArgumentError('"secretKeyMultibase" must be a string.');
   }
-  // base58btc.decode handles the 'z' prefix automatically
-  return base58btc.decode(secretKeyMultibase);
+  const decoded = _decodeBase58btc({secretKeyMultibase});
+  if(_hasPrefix(decoded, MULTICODEC_RSA_PRIV_HEADER)) {
+    return rsaPrivateKeyToPkcs8(
+      decoded.subarray(MULTICODEC_RSA_PRIV_HEADER.length));
+  }
+  // legacy encoding: bare DER-encoded PKCS#8
+  if(decoded[0] === TAG_SEQUENCE) {
+    return decoded;
+  }
+  throw new KeyFormatError(
+    '"secretKeyMultibase" must be an "rsa-priv" multicodec or PKCS#8 key.');
 }
 
 /**
@@ -166,7 +215,10 @@ export function fromSecretKeyMultibase({secretKeyMultibase} = {}) {
  * @param {number} options.modulusLength - The RSA modulus length.
  * @param {Uint8Array} [options.secretKey] - The secret key bytes (PKCS#8).
  * @param {Uint8Array} options.publicKey - The public key bytes (SPKI).
+ * @param {string} [options.algorithm='PS256'] - The JOSE algorithm.
  * @param {boolean} [options.keyAgreement=false] - Whether this is for key agreement.
+ * @param {boolean} [options.extractable=true] - Whether a secret key can be
+ *   exported; public keys are always extractable.
  *
  * @returns {Promise<CryptoKey>} The CryptoKey.
  */
@@ -174,31 +226,31 @@ export async function cryptoKeyfromRaw({
   modulusLength,
   secretKey,
   publicKey,
-  keyAgreement = false
+  algorithm = DEFAULT_ALGORITHM,
+  keyAgreement = false,
+  extractable = EXTRACTABLE
 } = {}) {
   if(typeof modulusLength !== 'number') {
-    throw new TypeError('"modulusLength" must be a number.');
+    throw new InvalidArgumentError('"modulusLength" must be a number.');
   }
   if(!(publicKey instanceof Uint8Array)) {
-    throw new TypeError('"publicKey" must be a Uint8Array.');
+    throw new InvalidArgumentError('"publicKey" must be a Uint8Array.');
   }
   if(secretKey && !(secretKey instanceof Uint8Array)) {
-    throw new TypeError('"secretKey" must be a Uint8Array.');
+    throw new InvalidArgumentError('"secretKey" must be a Uint8Array.');
   }
 
-  const algorithm = {
-    name: 'RSA-PSS',
-    hash: 'SHA-256',
+  const params = {
+    ..._getImportParams({algorithm}),
     modulusLength,
   };
-  const usage = keyAgreement ? ['deriveBits'] : ['sign', 'verify'];
 
   if(secretKey) {
     const key = await webcrypto.subtle.importKey(
       'pkcs8',
       secretKey,
-      algorithm,
-      true,
+      params,
+      extractable,
       keyAgreement ? ['deriveBits'] : ['sign']
     );
     return key;
@@ -207,7 +259,7 @@ export async function cryptoKeyfromRaw({
   const key = await webcrypto.subtle.importKey(
     'spki',
     publicKey,
-    algorithm,
+    params,
     true,
     keyAgreement ? ['deriveBits'] : ['verify']
   );
@@ -218,12 +270,19 @@ export async function cryptoKeyfromRaw({
  * Imports a key pair from multibase or JWK format.
  *
  * @param {object} keyPair - The key pair object.
+ * @param {object} [options={}] - Options hash.
+ * @param {string} [options.algorithm] - The JOSE algorithm; defaults to the
+ *   `alg` of `publicKeyJwk` or "PS256".
+ * @param {boolean} [options.extractable=true] - Whether the secret key can be
+ *   exported.
  *
  * @returns {Promise<object>} The imported key pair with CryptoKey objects.
  */
-export async function importKeyPair(keyPair) {
+export async function importKeyPair(keyPair, {
+  algorithm, extractable = EXTRACTABLE
+} = {}) {
   if(!keyPair || typeof keyPair !== 'object') {
-    throw new TypeError('"keyPair" must be an object.');
+    throw new InvalidArgumentError('"keyPair" must be an object.');
   }
 
   // If already has CryptoKey objects, return as-is
@@ -232,15 +291,17 @@ export async function importKeyPair(keyPair) {
     return keyPair;
   }
 
+  if(!algorithm) {
+    algorithm = keyPair.publicKeyJwk?.alg || DEFAULT_ALGORITHM;
+  }
+  const params = _getImportParams({algorithm});
+
   // Try to import from JWK
   if(keyPair.publicKeyJwk) {
     const publicKey = await webcrypto.subtle.importKey(
       'jwk',
-      keyPair.publicKeyJwk,
-      {
-        name: 'RSA-PSS',
-        hash: 'SHA-256',
-      },
+      {...keyPair.publicKeyJwk, alg: algorithm},
+      params,
       true,
       keyPair.keyAgreement ? ['deriveBits'] : ['verify']
     );
@@ -252,12 +313,9 @@ export async function importKeyPair(keyPair) {
       const secretJwk = keyPair.secretKeyJwk || keyPair.privateKeyJwk;
       const secretKey = await webcrypto.subtle.importKey(
         'jwk',
-        secretJwk,
-        {
-          name: 'RSA-PSS',
-          hash: 'SHA-256',
-        },
-        true,
+        {...secretJwk, alg: algorithm},
+        params,
+        extractable,
         keyPair.keyAgreement ? ['deriveBits'] : ['sign']
       );
       result.secretKey = secretKey;
@@ -274,6 +332,7 @@ export async function importKeyPair(keyPair) {
     const publicKey = await cryptoKeyfromRaw({
       modulusLength,
       publicKey: publicKeyBytes,
+      algorithm,
       keyAgreement: keyPair.keyAgreement
     });
     const result = {
@@ -288,14 +347,17 @@ export async function importKeyPair(keyPair) {
         modulusLength,
         secretKey: secretKeyBytes,
         publicKey: publicKeyBytes,
-        keyAgreement: keyPair.keyAgreement
+        algorithm,
+        keyAgreement: keyPair.keyAgreement,
+        extractable
       });
       result.secretKey = secretKey;
     }
     return result;
   }
 
-  throw new Error('Key pair must have publicKeyJwk or publicKeyMultibase.');
+  throw new InvalidKeyError(
+    'Key pair must have publicKeyJwk or publicKeyMultibase.');
 }
 
 /**
@@ -316,7 +378,7 @@ export async function exportKeyPair({
   includeContext = true
 } = {}) {
   if(!keyPair || typeof keyPair !== 'object') {
-    throw new TypeError('"keyPair" must be an object.');
+    throw new InvalidArgumentError('"keyPair" must be an object.');
   }
 
   const result = {
@@ -344,6 +406,9 @@ export async function exportKeyPair({
 
   // Export secret key
   if(secretKey && keyPair.secretKey) {
+    if(!keyPair.secretKey.extractable) {
+      throw new KeyNotExtractableError();
+    }
     const secretKeyJwk = await webcrypto.subtle.exportKey('jwk', keyPair.secretKey);
     const secretKeyBytes = await toSecretKeyBytes({jwk: secretKeyJwk});
     result.secretKeyMultibase = toSecretKeyMultibase({secretKeyBytes});
@@ -353,3 +418,51 @@ export async function exportKeyPair({
   return result;
 }
 
+/**
+ * Converts a CryptoKey for use with another JOSE algorithm. WebCrypto binds
+ * keys to a single algorithm, so the key material is re-imported; this
+ * requires an extractable key.
+ *
+ * @param {object} options - Options hash.
+ * @param {CryptoKey} options.key - The CryptoKey to convert.
+ * @param {string} options.algorithm - The JOSE algorithm to convert to.
+ *
+ * @returns {Promise<CryptoKey>} The CryptoKey for the given algorithm.
+ */
+export async function convertCryptoKey({key, algorithm} = {}) {
+  const params = _getImportParams({algorithm});
+  if(getAlgorithmFromCryptoKey({key}) === algorithm) {
+    return key;
+  }
+  if(!key.extractable) {
+    throw new KeyNotExtractableError(
+      `Non-extractable key cannot be converted to algorithm "${algorithm}".`);
+  }
+  const jwk = await webcrypto.subtle.exportKey('jwk', key);
+  return webcrypto.subtle.importKey(
+    'jwk',
+    {...jwk, alg: algorithm},
+    params,
+    key.extractable,
+    key.usages);
+}
+
+function _getImportParams({algorithm}) {
+  const {name, hash} = getAlgorithmParams({algorithm});
+  return {name, hash};
+}
+
+// base58btc.decode handles the 'z' prefix and throws plain errors
+function _decodeBase58btc(value) {
+  const [[name, encoded]] = Object.entries(value);
+  try {
+    return base58btc.decode(encoded);
+  } catch(e) {
+    throw new KeyFormatError(`"${name}" must be base58btc encoded.`);
+  }
+}
+
+function _hasPrefix(bytes, prefix) {
+  return bytes.length > prefix.length &&
+    prefix.every((b, i) => bytes[i] === b);
+}
@@ -7,6 +7,7 @@ import {
   toPublicKeyMultibaseFromJwk,
   toSecretKeyMultibaseFromJwk
 } from './serialize.js';
+import {InvalidArgumentError} from './errors.js';
 
 /**
  * Converts a key pair to Multikey format.
@@ -18,7 +19,7 @@ import {
  */
 export async function toMultikey({keyPair} = {}) {
   if(!keyPair || typeof keyPair !== 'object') {
-    throw new TypeError('"keyPair" must be an object.');
+    throw new InvalidArgumentError('"keyPair" must be an object.');
   }
 
   const multikey = {
@@ -0,0 +1,167 @@
+/*!
+ * Copyright (c) 2024 European EPC Competence Center GmbH. All rights reserved.
+ */
+
+import {
+  fromPublicKeyMultibase,
+  fromSecretKeyMultibase
+} from './serialize.js';
+import {
+  InvalidArgumentError,
+  InvalidKeyError,
+  KeyPolicyError
+} from './errors.js';
+import {
+  pkcs8ToRsaPrivateKey,
+  readChildren,
+  spkiToRsaPublicKey
+} from './asn1.js';
+import {DEFAULT_KEY_POLICY} from './constants.js';
+import {base64urlDecode, bytesToHex} from './encoding.js';
+
+// RSAPrivateKey members after the version, in DER order
+const PRIVATE_KEY_MEMBERS = ['n', 'e', 'd', 'p', 'q', 'dp', 'dq', 'qi'];
+
+/**
+ * Checks an RSA key against a key policy. The public key is read from
+ * `publicKeyMultibase` and `publicKeyJwk`, the secret key from
+ * `secretKeyMultibase`, `secretKeyJwk` and `privateKeyJwk`; whichever are
+ * present must describe the same key.
+ *
+ * @param {object} key - The Multikey, JWK-based verification method or key
+ *   pair.
+ * @param {object} [options={}] - Options hash.
+ * @param {object} [options.policy] - Policy options overriding
+ *   `DEFAULT_KEY_POLICY`:
+ *   `minModulusLength` (number), `allowedExponents` (number[]),
+ *   `checkConsistency` (boolean) and `checkCrtParams` (boolean).
+ *
+ * @throws {KeyPolicyError} If the key violates the policy.
+ */
+export function validateKey(key, {policy} = {}) {
+  if(!key || typeof key !== 'object') {
+    throw new InvalidArgumentError('"key" must be an object.');
+  }
+  const {
+    minModulusLength, allowedExponents, checkConsistency, checkCrtParams
+  } = {...DEFAULT_KEY_POLICY, ...policy};
+
+  const publicKeys = [];
+  if(key.publicKeyMultibase) {
+    const spki = fromPublicKeyMultibase(
+      {publicKeyMultibase: key.publicKeyMultibase});
+    publicKeys.push(_readDer(spkiToRsaPublicKey(spki), ['n', 'e']));
+  }
+  if(key.publicKeyJwk) {
+    publicKeys.push(_readJwk(key.publicKeyJwk, ['n', 'e']));
+  }
+  const secretKeys = [];
+  if(key.secretKeyMultibase) {
+    const pkcs8 = fromSecretKeyMultibase(
+      {secretKeyMultibase: key.secretKeyMultibase});
+    // the RSAPrivateKey starts with its version
+    secretKeys.push(_readDer(
+      pkcs8ToRsaPrivateKey(pkcs8), ['version', ...PRIVATE_KEY_MEMBERS]));
+  }
+  for(const jwk of [key.secretKeyJwk, key.privateKeyJwk]) {
+    if(jwk) {
+      secretKeys.push(_readJwk(jwk, PRIVATE_KEY_MEMBERS));
+    }
+  }
+  const [{n, e} = {}] = [...publicKeys, ...secretKeys];
+  if(n === undefined || e === undefined) {
+    throw new InvalidKeyError(
+      'Key must have publicKeyJwk or publicKeyMultibase.');
+  }
+
+  const modulusLength = n.toString(2).length;
+  if(modulusLength < minModulusLength) {
+    throw new KeyPolicyError(
+      `Modulus is ${modulusLength} bits; at least ${minModulusLength} ` +
+      'bits are required.', {rule: 'minModulusLength'});
+  }
+  if(!allowedExponents.some(allowed => BigInt(allowed) === e)) {
+    throw new KeyPolicyError(
+      `Public exponent ${e} is not allowed; must be one of: ` +
+      `${allowedExponents.join(', ')}.`, {rule: 'allowedExponents'});
+  }
+  if(checkConsistency) {
+    _checkConsistency({n, e, publicKeys, secretKeys});
+  }
+  if(checkCrtParams) {
+    for(const secretKey of secretKeys) {
+      _checkCrtParams(secretKey);
+    }
+  }
+}
+
+function _checkConsistency({n, e, publicKeys, secretKeys}) {
+  for(const other of [...publicKeys, ...secretKeys]) {
+    if(other.n !== n || other.e !== e) {
+      throw new KeyPolicyError(
+        'Key representations do not describe the same public key.',
+        {rule: 'checkConsistency'});
+    }
+  }
+  const [{d} = {}] = secretKeys;
+  if(secretKeys.some(other => other.d !== d)) {
+    throw new KeyPolicyError(
+      'Key representations do not describe the same secret key.',
+      {rule: 'checkConsistency'});
+  }
+}
+
+function _checkCrtParams({n, e, d, p, q, dp, dq, qi}) {
+  // JWKs may leave out the CRT parameters
+  if(p === undefined || q === undefined) {
+    return;
+  }
+  const lambda = _lcm(p - 1n, q - 1n);
+  if(p * q !== n || (e * d) % lambda !== 1n ||
+    (dp !== undefined && dp !== d % (p - 1n)) ||
+    (dq !== undefined && dq !== d % (q - 1n)) ||
+    (qi !== undefined && (qi * q) % p !== 1n)) {
+    throw new KeyPolicyError(
+      'Secret key CRT parameters do not match the modulus.',
+      {rule: 'checkCrtParams'});
+  }
+}
+
+function _readJwk(jwk, members) {
+  if(jwk.kty !== undefined && jwk.kty !== 'RSA') {
+    throw new InvalidKeyError('JWK must have kty "RSA".');
+  }
+  const values = {};
+  for(const member of members) {
+    if(typeof jwk[member] === 'string') {
+      values[member] = _toBigInt(base64urlDecode(jwk[member]));
+    }
+  }
+  return values;
+}
+
+function _readDer(bytes, members) {
+  const values = {};
+  readChildren(bytes).slice(0, members.length).forEach((element, i) => {
+    values[members[i]] = _toBigInt(bytes.subarray(element.start, element.end));
+  });
+  return values;
+}
+
+function _toBigInt(bytes) {
+  if(bytes.length === 0) {
+    return 0n;
+  }
+  return BigInt(`0x${bytesToHex(bytes)}`);
+}
+
+function _lcm(a, b) {
+  return a / _gcd(a, b) * b;
+}
+
+function _gcd(a, b) {
+  while(b) {
+    [a, b] = [b, a % b];
+  }
+  return a;
+}
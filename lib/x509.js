@@ -0,0 +1,96 @@
+/*!
+ * Copyright (c) 2024 European EPC Competence Center GmbH. All rights reserved.
+ */
+
+import {readChildren, TAG_SEQUENCE} from './asn1.js';
+import {decodePem} from './pem.js';
+import {webcrypto} from './crypto.js';
+import {InvalidArgumentError, KeyFormatError} from './errors.js';
+import {base64Decode, base64Encode, base64urlEncode} from './encoding.js';
+
+const CERTIFICATE_LABEL = 'CERTIFICATE';
+// context-specific [0] tag of the optional TBSCertificate version
+const TAG_VERSION = 0xa0;
+
+/**
+ * Decodes a certificate chain given as PEM, DER or JWK `x5c` value.
+ *
+ * @param {object} options - Options hash.
+ * @param {string|Uint8Array} [options.certificate] - PEM document with one or
+ *   more certificates (leaf first) or a DER-encoded certificate.
+ * @param {Array<string>} [options.x5c] - Base64-encoded DER certificates,
+ *   leaf first, as in a JWK `x5c` member.
+ *
+ * @returns {Array<Uint8Array>} The DER-encoded certificates, leaf first.
+ */
+export function decodeCertificateChain({certificate, x5c} = {}) {
+  if(x5c !== undefined) {
+    if(!Array.isArray(x5c) || x5c.length === 0 ||
+      !x5c.every(c => typeof c === 'string')) {
+      throw new InvalidArgumentError(
+        '"x5c" must be a non-empty array of strings.');
+    }
+    // `x5c` uses standard base64, not base64url
+    return x5c.map(c => base64Decode(c));
+  }
+  if(certificate instanceof Uint8Array) {
+    return [certificate];
+  }
+  if(typeof certificate === 'string') {
+    return decodePem(certificate).map(({label, bytes}) => {
+      if(label !== CERTIFICATE_LABEL) {
+        throw new KeyFormatError(
+          `Unsupported PEM block "${label}"; expected "${CERTIFICATE_LABEL}".`);
+      }
+      return bytes;
+    });
+  }
+  throw new InvalidArgumentError('"certificate" or "x5c" is required.');
+}
+
+/**
+ * Encodes DER certificates as a JWK `x5c` value.
+ *
+ * @param {Array<Uint8Array>} certificates - The DER-encoded certificates.
+ *
+ * @returns {Array<string>} The base64-encoded certificates.
+ */
+export function toX5c(certificates) {
+  return certificates.map(c => base64Encode(c));
+}
+
+/**
+ * Computes the JWK `x5t#S256` thumbprint of a certificate.
+ *
+ * @param {Uint8Array} certificate - The DER-encoded certificate.
+ *
+ * @returns {Promise<string>} The base64url-encoded SHA-256 thumbprint.
+ */
+export async function getX5tS256(certificate) {
+  const digest = await webcrypto.subtle.digest('SHA-256', certificate);
+  return base64urlEncode(digest);
+}
+
+/**
+ * Extracts the SubjectPublicKeyInfo of a certificate.
+ *
+ * @param {Uint8Array} certificate - The DER-encoded certificate.
+ *
+ * @returns {Uint8Array} The DER-encoded SubjectPublicKeyInfo.
+ */
+export function certificateToSpki(certificate) {
+  const [tbs] = readChildren(certificate);
+  if(tbs?.tag !== TAG_SEQUENCE) {
+    throw new KeyFormatError('Invalid X.509 certificate.');
+  }
+  const tbsBytes = certificate.subarray(tbs.offset, tbs.end);
+  const fields = readChildren(tbsBytes);
+  // the version field is optional and defaults to v1
+  const offset = fields[0]?.tag === TAG_VERSION ? 1 : 0;
+  // serialNumber, signature, issuer, validity, subject, subjectPublicKeyInfo
+  const spki = fields[offset + 5];
+  if(spki?.tag !== TAG_SEQUENCE) {
+    throw new KeyFormatError('Invalid X.509 certificate.');
+  }
+  return tbsBytes.slice(spki.offset, spki.end);
+}
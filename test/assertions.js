@@ -7,7 +7,11 @@ import * as RsaMultikey from '../lib/index.js';
 import {stringToUint8Array} from './text-encoder.js';
 import {CryptoKey} from '../lib/crypto.js';
 import {webcrypto} from '../lib/crypto.js';
-import {exportKeyPair} from '../lib/serialize.js';
+import {
+  exportKeyPair,
+  fromPublicKeyMultibase,
+  fromSecretKeyMultibase
+} from '../lib/serialize.js';
 
 const {expect} = chai;
 
@@ -193,8 +197,9 @@ export function testExport(optionsOrGetter) {
   it('should export raw public key', async () => {
     const {modulusLength} = getOptions();
     const keyPair = await RsaMultikey.generate({modulusLength});
-    const expectedPublicKey = base58btc.decode(
-      keyPair.publicKeyMultibase);
+    const expectedPublicKey = fromPublicKeyMultibase({
+      publicKeyMultibase: keyPair.publicKeyMultibase
+    });
     const {publicKey} = await keyPair.export({publicKey: true, raw: true});
     expect(expectedPublicKey).to.deep.equal(publicKey);
   });
@@ -202,8 +207,9 @@ export function testExport(optionsOrGetter) {
   it('should export raw secret key', async () => {
     const {modulusLength} = getOptions();
     const keyPair = await RsaMultikey.generate({modulusLength});
-    const expectedSecretKey = base58btc.decode(
-      keyPair.secretKeyMultibase);
+    const expectedSecretKey = fromSecretKeyMultibase({
+      secretKeyMultibase: keyPair.secretKeyMultibase
+    });
     const {secretKey} = await keyPair.export({secretKey: true, raw: true});
     expect(expectedSecretKey).to.deep.equal(secretKey);
   });
@@ -308,8 +314,9 @@ export function testRaw(optionsOrGetter) {
     const keyPair = await RsaMultikey.generate({modulusLength});
 
     // first export
-    const expectedPublicKey = base58btc.decode(
-      keyPair.publicKeyMultibase);
+    const expectedPublicKey = fromPublicKeyMultibase({
+      publicKeyMultibase: keyPair.publicKeyMultibase
+    });
     const {publicKey} = await keyPair.export({publicKey: true, raw: true});
     expect(expectedPublicKey).to.deep.equal(publicKey);
 
@@ -327,8 +334,9 @@ export function testRaw(optionsOrGetter) {
     const keyPair = await RsaMultikey.generate({modulusLength});
 
     // first export
-    const expectedSecretKey = base58btc.decode(
-      keyPair.secretKeyMultibase);
+    const expectedSecretKey = fromSecretKeyMultibase({
+      secretKeyMultibase: keyPair.secretKeyMultibase
+    });
     const {secretKey, publicKey} = await keyPair.export(
       {secretKey: true, raw: true});
     expect(expectedSecretKey).to.deep.equal(secretKey);
@@ -0,0 +1,28 @@
+/*!
+ * Copyright (c) 2024 European EPC Competence Center GmbH. All rights reserved.
+ */
+
+// Module hooks that make `lib/` modules see a browser: importing a Node.js
+// builtin fails and `Buffer` is undefined.
+
+const LIB_URL = new URL('../lib/', import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  if(context.parentURL?.startsWith(LIB_URL) &&
+    (specifier.startsWith('node:') || specifier === 'crypto')) {
+    throw new Error(
+      `"${specifier}" is not available in browsers (imported by ` +
+      `${context.parentURL}).`);
+  }
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  const result = await nextLoad(url, context);
+  if(!url.startsWith(LIB_URL) || result.format !== 'module') {
+    return result;
+  }
+  // shadow the global on the first line, keeping line numbers in stack traces
+  const source = String(result.source);
+  return {...result, source: `const Buffer = undefined; ${source}`};
+}
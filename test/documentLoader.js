@@ -0,0 +1,100 @@
+/*!
+ * Copyright (c) 2024 European EPC Competence Center GmbH. All rights reserved.
+ */
+
+export const TEST_CONTEXT_URL = 'https://example.org/test/credentials/v1';
+
+const SEC = 'https://w3id.org/security#';
+const XSD = 'http://www.w3.org/2001/XMLSchema#';
+
+const contexts = new Map([
+  [TEST_CONTEXT_URL, {
+    '@context': {
+      '@protected': true,
+      id: '@id',
+      type: '@type',
+      ExampleCredential: 'https://example.org/test#ExampleCredential',
+      name: 'https://schema.org/name',
+      issuer: {'@id': 'https://example.org/test#issuer', '@type': '@id'},
+      credentialSubject: {
+        '@id': 'https://example.org/test#credentialSubject',
+        '@type': '@id'
+      },
+      proof: {'@id': `${SEC}proof`, '@type': '@id', '@container': '@graph'},
+      RsaSignature2018: {
+        '@id': `${SEC}RsaSignature2018`,
+        '@context': _legacyProofContext()
+      },
+      JsonWebSignature2020: {
+        '@id': `${SEC}JsonWebSignature2020`,
+        '@context': _legacyProofContext()
+      },
+      DataIntegrityProof: {
+        '@id': `${SEC}DataIntegrityProof`,
+        '@context': {
+          '@protected': true,
+          id: '@id',
+          type: '@type',
+          challenge: `${SEC}challenge`,
+          created: {'@id': 'http://purl.org/dc/terms/created', '@type': `${XSD}dateTime`},
+          cryptosuite: {'@id': `${SEC}cryptosuite`, '@type': `${SEC}cryptosuiteString`},
+          proofPurpose: {
+            '@id': `${SEC}proofPurpose`,
+            '@type': '@vocab',
+            '@context': {
+              '@protected': true,
+              id: '@id',
+              type: '@type',
+              assertionMethod: {
+                '@id': `${SEC}assertionMethod`,
+                '@type': '@id',
+                '@container': '@set'
+              }
+            }
+          },
+          proofValue: {'@id': `${SEC}proofValue`, '@type': `${SEC}multibase`},
+          verificationMethod: {'@id': `${SEC}verificationMethod`, '@type': '@id'}
+        }
+      }
+    }
+  }]
+]);
+
+/**
+ * Resolves the test contexts without network access.
+ *
+ * @param {string} url - The URL to load.
+ *
+ * @returns {Promise<object>} The remote document.
+ */
+export async function documentLoader(url) {
+  if(!contexts.has(url)) {
+    throw new Error(`Document "${url}" not found.`);
+  }
+  return {contextUrl: null, documentUrl: url, document: contexts.get(url)};
+}
+
+function _legacyProofContext() {
+  return {
+    '@protected': true,
+    id: '@id',
+    type: '@type',
+    created: {'@id': 'http://purl.org/dc/terms/created', '@type': `${XSD}dateTime`},
+    jws: {'@id': `${SEC}jws`},
+    proofPurpose: {
+      '@id': `${SEC}proofPurpose`,
+      '@type': '@vocab',
+      '@context': {
+        '@protected': true,
+        id: '@id',
+        type: '@type',
+        assertionMethod: {
+          '@id': `${SEC}assertionMethod`,
+          '@type': '@id',
+          '@container': '@set'
+        }
+      }
+    },
+    verificationMethod: {'@id': `${SEC}verificationMethod`, '@type': '@id'}
+  };
+}
@@ -0,0 +1,77 @@
+/*!
+ * Copyright (c) 2024 European EPC Competence Center GmbH. All rights reserved.
+ */
+
+import {Buffer} from 'node:buffer';
+import http from 'node:http';
+
+/**
+ * Starts a local stand-in for a remote signer (e.g. a KMS gateway) that
+ * serves the protocol of `createHttpBackend` from another key backend.
+ *
+ * @param {object} options - Options hash.
+ * @param {object} options.backend - The key backend that holds the key.
+ * @param {string} [options.token] - Bearer token required on every request.
+ * @param {Function} [options.tamper] - Rewrites each sign response, to stand
+ *   in for a misbehaving signer.
+ *
+ * @returns {Promise<object>} The server `url`, the `requests` it received and
+ *   `close()`.
+ */
+export async function startKeyServer({
+  backend, token, tamper = response => response
+} = {}) {
+  const requests = [];
+  const server = http.createServer(async (req, res) => {
+    requests.push({method: req.method, url: req.url});
+    try {
+      if(token && req.headers.authorization !== `Bearer ${token}`) {
+        return _send(res, 401, {error: 'unauthorized'});
+      }
+      if(req.method === 'GET' && req.url === '/key') {
+        return _send(res, 200, {
+          publicKeyJwk: await backend.getPublicKey(),
+          metadata: backend.metadata
+        });
+      }
+      if(req.method === 'POST' && req.url === '/sign') {
+        const {digest, algorithm} = JSON.parse(await _readBody(req));
+        if(algorithm !== backend.metadata.algorithm) {
+          return _send(res, 400, {error: 'unsupported algorithm'});
+        }
+        const signature = await backend.sign(
+          {digest: new Uint8Array(Buffer.from(digest, 'base64url'))});
+        return _send(res, 200, tamper({
+          signature: Buffer.from(signature).toString('base64url'),
+          algorithm
+        }));
+      }
+      _send(res, 404, {error: 'not found'});
+    } catch(e) {
+      _send(res, 500, {error: e.message});
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const {port} = server.address();
+  return {
+    url: `http://127.0.0.1:${port}`,
+    requests,
+    async close() {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+async function _readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString();
+}
+
+function _send(res, status, body) {
+  res.writeHead(status, {'content-type': 'application/json'});
+  res.end(JSON.stringify(body));
+}
@@ -0,0 +1,14 @@
+/*!
+ * Copyright (c) 2024 European EPC Competence Center GmbH. All rights reserved.
+ */
+
+// Runs the suite on the runtime-neutral code path, as selected by the
+// "browser" export condition. `lib/` modules may not import Node.js builtins
+// or use `Buffer`, see `browser-hooks.js`; dependencies still load their
+// Node.js builds.
+import {register} from 'node:module';
+
+register('./browser-hooks.js', import.meta.url);
+
+globalThis.window = globalThis;
+globalThis.self = globalThis;
@@ -0,0 +1,7 @@
+/*!
+ * Copyright (c) 2024 European EPC Competence Center GmbH. All rights reserved.
+ */
+
+// Runs the suite on the Node.js code path, as selected by the "node" export
+// condition.
+import '../lib/node.js';